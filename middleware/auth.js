@@ -7,31 +7,37 @@ if (!JWT_ACCESS_SECRET) {
   process.exit(1);
 }
 
-export default function authMiddleware(req, res, next) {
-  try {
-    // 🔑 Look for access_token in cookies first
-    let token = req.cookies?.access_token;
-
-    // Or in Authorization header
-    if (!token && req.headers.authorization) {
-      const parts = req.headers.authorization.split(" ");
-      if (parts.length === 2 && parts[0] === "Bearer") {
-        token = parts[1];
-      }
+// 🔑 Access token from the access_token cookie or an Authorization: Bearer header
+function readToken(req) {
+  let token = req.cookies?.access_token;
+
+  if (!token && req.headers.authorization) {
+    const parts = req.headers.authorization.split(" ");
+    if (parts.length === 2 && parts[0] === "Bearer") {
+      token = parts[1];
     }
+  }
+  return token;
+}
+
+function userFromPayload(payload) {
+  return {
+    id: payload.sub || payload.id,
+    username: payload.username,
+    roles: payload.roles || [],
+  };
+}
 
+export default function authMiddleware(req, res, next) {
+  try {
+    const token = readToken(req);
     if (!token) {
       return res.status(401).json({ error: "Unauthorized" });
     }
 
     // ✅ Verify access token
     const payload = jwt.verify(token, JWT_ACCESS_SECRET);
-
-    req.user = {
-      id: payload.sub || payload.id,
-      username: payload.username,
-      roles: payload.roles || [],
-    };
+    req.user = userFromPayload(payload);
 
     return next();
   } catch (err) {
@@ -43,3 +49,16 @@ export default function authMiddleware(req, res, next) {
     return res.status(401).json({ error: "Unauthorized" });
   }
 }
+
+// 👤 For public routes that personalize when logged in: sets req.user if the token is valid, never rejects
+export function optionalAuth(req, res, next) {
+  const token = readToken(req);
+  if (token) {
+    try {
+      req.user = userFromPayload(jwt.verify(token, JWT_ACCESS_SECRET));
+    } catch {
+      // anonymous
+    }
+  }
+  return next();
+}
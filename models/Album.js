@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+const AlbumSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    titleKey: {
+      type: String, // normalized title, unique per artist
+      required: true,
+    },
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      default: null, // null = unknown artist / compilation
+    },
+    cover: {
+      type: String,
+      default: "",
+    },
+    coverPublicId: {
+      type: String, // storage key when the cover was uploaded for the album itself
+      default: "",
+    },
+    description: {
+      type: String,
+      default: "",
+      maxlength: 5000,
+    },
+    releaseYear: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+AlbumSchema.index({ artistId: 1, titleKey: 1 }, { unique: true });
+AlbumSchema.index({ titleKey: 1 }); // prefix lookups for suggestions
+
+const Album = mongoose.model("Album", AlbumSchema);
+export default Album;
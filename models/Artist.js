@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const ArtistSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    nameKey: {
+      type: String, // normalized name ("Daft Punk" / "daft  punk" → "daft punk")
+      required: true,
+      unique: true,
+    },
+    image: {
+      type: String,
+      default: "",
+    },
+    imagePublicId: {
+      type: String, // storage key of the image
+      default: "",
+    },
+    bio: {
+      type: String,
+      default: "",
+      maxlength: 5000,
+    },
+  },
+  { timestamps: true }
+);
+
+ArtistSchema.index({ name: 1 });
+
+const Artist = mongoose.model("Artist", ArtistSchema);
+export default Artist;
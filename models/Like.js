@@ -18,6 +18,7 @@ const LikeSchema = new mongoose.Schema(
 
 LikeSchema.index({ userId: 1, songId: 1 }, { unique: true });
 LikeSchema.index({ songId: 1 });
+LikeSchema.index({ userId: 1, createdAt: -1, _id: -1 }); // "my likes", newest first
 
 const Like = mongoose.model("Like", LikeSchema);
 export default Like;
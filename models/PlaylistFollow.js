@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// A user following (saving to their library) someone else's public or link-shared playlist
+const PlaylistFollowSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    playlistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Playlist",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+PlaylistFollowSchema.index({ userId: 1, playlistId: 1 }, { unique: true });
+PlaylistFollowSchema.index({ playlistId: 1 });
+PlaylistFollowSchema.index({ userId: 1, createdAt: -1, _id: -1 }); // "my library", newest first
+
+const PlaylistFollow = mongoose.model("PlaylistFollow", PlaylistFollowSchema);
+export default PlaylistFollow;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// A user's recent search queries (shown by /api/music/suggest when the box is empty)
+const RecentSearchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    query: {
+      type: String, // as typed (trimmed)
+      required: true,
+    },
+    queryKey: {
+      type: String, // normalized query, so "Daft Punk" and "daft punk" are one entry
+      required: true,
+    },
+    searchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+RecentSearchSchema.index({ userId: 1, queryKey: 1 }, { unique: true });
+RecentSearchSchema.index({ userId: 1, searchedAt: -1 });
+
+const RecentSearch = mongoose.model("RecentSearch", RecentSearchSchema);
+export default RecentSearch;
@@ -1,4 +1,25 @@
 import mongoose from "mongoose";
+import { buildSearchTokens } from "../utils/searchText.js";
+import { softDelete } from "../utils/softDelete.js";
+
+// Fields covered by the search tokens (see services/search.js)
+const SEARCH_FIELDS = ["title", "artist", "album", "genre", "uploaderName"];
+
+// A previous audio file of a song, kept so admins can roll back (see PUT /api/music/:id/audio)
+const AudioVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    url: { type: String, required: true },
+    publicId: { type: String, required: true },
+    size: { type: Number, default: 0 },
+    contentHash: { type: String, default: undefined },
+    duration: { type: Number, default: 0 },
+    uploadedAt: { type: Date }, // when this file became the song's audio
+    archivedAt: { type: Date, default: Date.now }, // when it was replaced
+    archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
 
 const SongSchema = new mongoose.Schema(
   {
@@ -17,31 +38,102 @@ const SongSchema = new mongoose.Schema(
       default: "Singles",
       trim: true,
     },
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      default: null, // null for "Unknown Artist"
+    },
+    albumId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Album",
+      default: null, // null for "Singles"
+    },
     cover: {
-      type: String, // URL for song cover (Cloudinary image)
+      type: String, // URL for song cover (storage image)
+      default: "",
+    },
+    coverPublicId: {
+      type: String, // storage key of the cover (empty for legacy/external covers)
       default: "",
     },
     url: {
-      type: String, // direct Cloudinary URL (public)
+      type: String, // storage URL — never sent to clients, audio goes through /:id/stream
       required: true,
     },
     publicId: {
-      type: String, // still useful for deleting/updating on Cloudinary
+      type: String, // storage key, used for streaming/deleting/updating
       required: true,
     },
+    size: {
+      type: Number, // audio file size in bytes (0 = unknown, filled on first stream)
+      default: 0,
+    },
+    contentHash: {
+      type: String, // sha256 of the audio file, used to detect duplicate uploads (unique)
+      default: undefined,
+    },
+    duplicateHash: {
+      type: String, // sha256 of a legacy upload whose file another song already holds, until an admin merges them
+      default: undefined,
+    },
+    audioVersion: {
+      type: Number, // bumped on every audio replacement; rollbacks restore an older number
+      default: 1,
+    },
+    audioUpdatedAt: {
+      type: Date, // when the current file was uploaded (null = original upload)
+      default: null,
+    },
+    audioVersions: {
+      type: [AudioVersionSchema], // previous files, oldest first (bounded, see services/songAssets.js)
+      default: [],
+    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    uploaderName: {
+      type: String, // uploader's display name + username, denormalized for search
+      default: "",
+    },
     duration: {
-      type: Number, // optional — store track length (seconds)
+      type: Number, // track length in seconds (read from the file on upload)
       default: 0,
     },
     genre: {
       type: String,
       default: "Unknown",
     },
+    tags: {
+      type: [String], // normalized moods/activities (see utils/tags.js) and free-form user tags
+      default: [],
+    },
+    trackNumber: {
+      type: Number,
+      default: null,
+    },
+    year: {
+      type: Number,
+      default: null,
+    },
+    lyrics: {
+      type: String, // plain lyrics (searchable); derived from syncedLyrics when only LRC is given
+      default: "",
+    },
+    syncedLyrics: {
+      type: String, // raw LRC, parsed on read
+      default: "",
+    },
+    visibility: {
+      type: String,
+      enum: ["public", "unlisted", "private"], // see utils/songAccess.js
+      default: "public",
+    },
+    releaseAt: {
+      type: Date, // scheduled release: hidden like a private song until then
+      default: null,
+    },
     plays: {
       type: Number,
       default: 0,
@@ -54,10 +146,66 @@ const SongSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    searchPrefixes: {
+      type: [String], // word prefixes, maintained by the pre-save hook
+      default: [],
+    },
+    searchGrams: {
+      type: [String], // word bigrams for typo-tolerant matching
+      default: [],
+    },
+    randomKey: {
+      type: Number, // fixed position in the seeded random order (sort=random)
+      default: Math.random,
+    },
   },
   { timestamps: true }
 );
 
+// deletedAt/deletedBy + hiding trashed songs from every query
+SongSchema.plugin(softDelete);
+
+// existing databases: run scripts/uniqueContentHash.js once before deploying
+SongSchema.index({ contentHash: 1 }, { unique: true, sparse: true });
+SongSchema.index({ artistId: 1 });
+SongSchema.index({ albumId: 1, trackNumber: 1 });
+SongSchema.index({ searchPrefixes: 1, plays: -1 }); // also serves popular-first suggestions
+SongSchema.index({ searchGrams: 1 });
+SongSchema.index({ genre: 1 });
+SongSchema.index({ tags: 1, createdAt: -1, _id: -1 });
+SongSchema.index({ uploadedBy: 1, deletedAt: -1, _id: -1 }); // a user's trash
+// listing orders (see routes/music.js)
+SongSchema.index({ createdAt: -1, _id: -1 });
+SongSchema.index({ plays: -1, likesCount: -1, _id: -1 });
+SongSchema.index({ likesCount: -1, plays: -1, _id: -1 });
+SongSchema.index({ duration: -1, _id: -1 });
+SongSchema.index({ title: 1, _id: 1 }, { collation: { locale: "en", strength: 2 } }); // case-insensitive title order
+SongSchema.index({ randomKey: 1, _id: 1 }); // existing databases: run scripts/randomKeys.js once
+// Lyrics phrase search; no language so stop words ("let it be") still match
+SongSchema.index({ lyrics: "text" }, { default_language: "none", name: "lyrics_text" });
+
+// Search tokens, random keys, old audio files and storage locations are internal — never serialize them
+// (audio is only reachable through /api/music/:id/stream)
+SongSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.url;
+    delete ret.publicId;
+    delete ret.duplicateHash;
+    delete ret.searchPrefixes;
+    delete ret.searchGrams;
+    delete ret.audioVersions;
+    delete ret.randomKey;
+    return ret;
+  },
+});
+
+// Keep search tokens in sync with the searchable fields
+SongSchema.pre("save", function () {
+  if (this.isNew || SEARCH_FIELDS.some((f) => this.isModified(f))) {
+    Object.assign(this, buildSearchTokens(this));
+  }
+});
+
 // Optional: auto-increment play count
 SongSchema.methods.incrementPlays = async function () {
   this.plays += 1;
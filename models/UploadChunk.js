@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const UploadChunkSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "UploadSession",
+      required: true,
+    },
+    offset: {
+      type: Number, // byte position of this chunk in the file
+      required: true,
+    },
+    data: {
+      type: Buffer,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+UploadChunkSchema.index({ sessionId: 1, offset: 1 }, { unique: true });
+// Safety net for chunks whose session expired before they were cleaned up
+UploadChunkSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const UploadChunk = mongoose.model("UploadChunk", UploadChunkSchema);
+export default UploadChunk;
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Resumable upload in progress — chunks live in UploadChunk until finalize
+const UploadSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimetype: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number, // declared total size in bytes
+      required: true,
+    },
+    offset: {
+      type: Number, // bytes received so far
+      default: 0,
+    },
+    fields: {
+      type: Object, // song fields sent at creation (title, artist, album, …)
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["uploading", "finalizing", "complete"],
+      default: "uploading",
+    },
+    songId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+      default: null,
+    },
+    expiresAt: {
+      type: Date, // pushed forward on every chunk; MongoDB drops idle sessions
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+UploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+UploadSessionSchema.index({ userId: 1, createdAt: -1 });
+
+const UploadSession = mongoose.model("UploadSession", UploadSessionSchema);
+export default UploadSession;
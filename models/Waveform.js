@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Peak data for a song's waveform scrubber (kept out of Song so listings stay small)
+const WaveformSchema = new mongoose.Schema(
+  {
+    songId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Song",
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["ready", "unsupported", "failed"], // unsupported = audio format we can't decode; failed = read/decode error
+      default: "ready",
+    },
+    audioVersion: {
+      type: Number, // Song.audioVersion the peaks (or the failure) belong to
+      default: 1,
+    },
+    peaks: {
+      type: [Number], // 0–1 peak amplitude per bucket
+      default: [],
+    },
+    sampleRate: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+const Waveform = mongoose.model("Waveform", WaveformSchema);
+export default Waveform;
@@ -1,4 +1,61 @@
+import crypto from "crypto";
 import mongoose from "mongoose";
+import { softDelete } from "../utils/softDelete.js";
+
+// One entry per position; the same song may appear more than once
+const trackEntrySchema = new mongoose.Schema(
+   {
+      songId: {
+         type: mongoose.Schema.Types.ObjectId,
+         ref: "Song", // reference to your songs collection
+         required: true,
+      },
+      addedAt: {
+         type: Date,
+         default: Date.now,
+      },
+      addedBy: {
+         type: mongoose.Schema.Types.ObjectId,
+         ref: "User",
+      },
+   },
+   { _id: false }
+);
+
+// Invited users; invites stay "pending" until the invitee accepts (declining removes the entry)
+const collaboratorSchema = new mongoose.Schema(
+   {
+      userId: {
+         type: mongoose.Schema.Types.ObjectId,
+         ref: "User",
+         required: true,
+      },
+      role: {
+         type: String,
+         enum: ["viewer", "editor"],
+         default: "viewer",
+      },
+      status: {
+         type: String,
+         enum: ["pending", "accepted"],
+         default: "pending",
+      },
+      invitedAt: {
+         type: Date,
+         default: Date.now,
+      },
+   },
+   { _id: false }
+);
+
+// Last evaluation of a smart playlist's rules (see services/smartPlaylists.js)
+const smartCacheSchema = new mongoose.Schema(
+   {
+      songIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Song" }],
+      evaluatedAt: Date,
+   },
+   { _id: false }
+);
 
 const playlistSchema = new mongoose.Schema({
    userId: {
@@ -18,17 +75,83 @@ const playlistSchema = new mongoose.Schema({
       type: String,
       default: "https://res.cloudinary.com/dqwii1yih/image/upload/v1760187900/covers/uufqtjp8ca1aclsp82aa.png",
    },
-   tracks: [
-      {
-         type: mongoose.Schema.Types.ObjectId,
-         ref: "Song", // reference to your songs collection
-      },
-   ],
+   // static: hand-picked `tracks`; smart: songs matching `rules`, evaluated on read
+   type: {
+      type: String,
+      enum: ["static", "smart"],
+      default: "static",
+   },
+   tracks: [trackEntrySchema],
+   rules: {
+      type: mongoose.Schema.Types.Mixed, // validated by utils/smartRules.js
+      default: undefined,
+   },
+   smartCache: {
+      type: smartCacheSchema,
+      default: undefined,
+   },
+   collaborators: [collaboratorSchema],
+   // private: owner + collaborators; link: anyone with the share token; public: anyone, listed in browse
+   visibility: {
+      type: String,
+      enum: ["private", "link", "public"],
+      default: "private",
+   },
+   shareToken: {
+      type: String, // never in JSON, see the transform below
+   },
+   followersCount: {
+      type: Number,
+      default: 0,
+   },
+   // bumped by every track edit, so concurrent edits are detected instead of overwritten
+   version: {
+      type: Number,
+      default: 0,
+   },
    createdAt: {
       type: Date,
       default: Date.now,
    },
 });
 
+// "owner", "editor" or "viewer" for `userId`, null when they have no (accepted) access
+playlistSchema.methods.roleOf = function (userId) {
+   if (String(this.userId) === String(userId)) return "owner";
+   const collaborator = this.collaborators.find((c) => String(c.userId) === String(userId));
+   return collaborator?.status === "accepted" ? collaborator.role : null;
+};
+
+// New unguessable token for link sharing (invalidates the previous link)
+playlistSchema.methods.rotateShareToken = function () {
+   this.shareToken = crypto.randomBytes(18).toString("base64url");
+   return this.shareToken;
+};
+
+// Whether someone without a role may read it: public, or link-shared and they hold the token
+playlistSchema.methods.isSharedWith = function (token) {
+   if (this.visibility === "public") return true;
+   return this.visibility === "link" && Boolean(this.shareToken) && token === this.shareToken;
+};
+
+playlistSchema.set("toJSON", {
+   transform: (doc, ret) => {
+      delete ret.shareToken;
+      delete ret.smartCache;
+      return ret;
+   },
+});
+
+// deletedAt/deletedBy + hiding trashed playlists from every query
+playlistSchema.plugin(softDelete);
+
+playlistSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+playlistSchema.index({ userId: 1, deletedAt: -1, _id: -1 });
+playlistSchema.index({ "tracks.songId": 1 });
+playlistSchema.index({ "collaborators.userId": 1, createdAt: -1, _id: -1 });
+playlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+playlistSchema.index({ visibility: 1, followersCount: -1, _id: -1 }); // browse, popular first
+playlistSchema.index({ visibility: 1, createdAt: -1, _id: -1 }); // browse, newest first
+
 export default mongoose.models.Playlist ||
    mongoose.model("Playlist", playlistSchema);
@@ -2,6 +2,19 @@ import express from "express";
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import Song from "../models/Song.js";
+import { safeDelete, readBuffer } from "../services/storage/index.js";
+import { uploadCover, contentHash, isContentHashConflict, uploaderName } from "../services/songAssets.js";
+import { findDuplicateGroups, mergeDuplicateSongs } from "../services/duplicates.js";
+import { generateWaveform } from "../services/waveforms.js";
+import { purgeExpiredTrash } from "../services/trash.js";
+import { deleteUserCascade, checkIntegrity } from "../services/lifecycle.js";
+import Waveform from "../models/Waveform.js";
+import { extractMetadata, applyMissingMetadata, embeddedCover } from "../utils/audioMetadata.js";
+import { buildSearchTokens } from "../utils/searchText.js";
+import { escapeRegex } from "../utils/regex.js";
+import { HIDDEN_SONG_FIELDS } from "../utils/songFields.js";
+import { purgeAt, trashRetentionDays } from "../utils/softDelete.js";
+import { pageParams, paginate, offsetFromCursor, offsetPageInfo, PaginationError } from "../utils/pagination.js";
 import authMiddleware from "../middleware/auth.js";
 import requireRole from "../middleware/requireRole.js";
 
@@ -9,23 +22,28 @@ const router = express.Router();
 
 router.use(authMiddleware, requireRole("admin"));
 
-// ✅ List users (paginated, searchable)
+// ✅ List users (newest first, cursor-paginated, searchable)
 router.get("/users", async (req, res) => {
   try {
-    const { q = "", page = 1, limit = 20 } = req.query;
+    const { limit, cursor } = pageParams(req.query);
+    const q = String(req.query.q || "").trim();
+    const pattern = escapeRegex(q);
     const query = q
-      ? { $or: [{ username: { $regex: q, $options: "i" } }, { email: { $regex: q, $options: "i" } }, { displayName: { $regex: q, $options: "i" } }] }
+      ? { $or: [{ username: { $regex: pattern, $options: "i" } }, { email: { $regex: pattern, $options: "i" } }, { displayName: { $regex: pattern, $options: "i" } }] }
       : {};
 
-    const total = await User.countDocuments(query);
-    const users = await User.find(query)
-      .sort({ createdAt: -1 })
-      .skip((parseInt(page, 10) - 1) * parseInt(limit, 10))
-      .limit(parseInt(limit, 10))
-      .select("username displayName email avatarUrl roles createdAt failedLoginAttempts");
+    const [total, { items: users, pageInfo }] = await Promise.all([
+      User.countDocuments(query),
+      paginate(User.find(query).select("username displayName email avatarUrl roles createdAt failedLoginAttempts"), {
+        sort: { createdAt: -1, _id: -1 },
+        limit,
+        cursor,
+      }),
+    ]);
 
-    res.json({ users, total, page: parseInt(page, 10), limit: parseInt(limit, 10) });
+    res.json({ users, total, pageInfo });
   } catch (err) {
+    if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
     console.error("Admin list users error:", err);
     res.status(500).json({ error: "Server error" });
   }
@@ -55,7 +73,7 @@ router.patch("/users/:id/role", async (req, res) => {
   }
 });
 
-// ✅ Delete a user (and their songs)
+// ✅ Delete a user and everything they own (songs + assets, playlists, likes, history, avatar)
 router.delete("/users/:id", async (req, res) => {
   try {
     const { id } = req.params;
@@ -65,17 +83,15 @@ router.delete("/users/:id", async (req, res) => {
     const user = await User.findById(id);
     if (!user) return res.status(404).json({ error: "User not found" });
 
-    await Song.deleteMany({ uploadedBy: id });
-    await user.deleteOne();
-
-    res.json({ message: "User and their songs deleted" });
+    const removed = await deleteUserCascade(user);
+    res.json({ message: "User and their data deleted", removed });
   } catch (err) {
     console.error("Admin delete user error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// ✅ Delete any song (moderation)
+// ✅ Delete any song (moderation; moves it to the trash)
 router.delete("/songs/:id", async (req, res) => {
   try {
     const { id } = req.params;
@@ -84,17 +100,295 @@ router.delete("/songs/:id", async (req, res) => {
     const song = await Song.findById(id);
     if (!song) return res.status(404).json({ error: "Song not found" });
 
-    try {
-      const cloudinary = (await import("../config/cloudinary.js")).default;
-      await cloudinary.uploader.destroy(song.publicId, { resource_type: "video" });
-    } catch (err) {
-      console.warn("Cloudinary delete failed:", err.message);
+    await song.moveToTrash(req.user.id);
+    res.json({ message: "Song moved to trash", purgeAt: purgeAt(song.deletedAt) });
+  } catch (err) {
+    console.error("Admin delete song error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ All trashed songs, most recently deleted first (cursor-paginated)
+router.get("/songs/trash", async (req, res) => {
+  try {
+    const { limit, cursor } = pageParams(req.query);
+    const { items, pageInfo } = await paginate(
+      Song.find({ deletedAt: { $ne: null } })
+        .select(HIDDEN_SONG_FIELDS)
+        .populate("uploadedBy", "username displayName")
+        .populate("deletedBy", "username displayName"),
+      { sort: { deletedAt: -1, _id: -1 }, limit, cursor }
+    );
+
+    const songs = items.map((song) => ({ ...song.toJSON(), purgeAt: purgeAt(song.deletedAt) }));
+    res.json({ songs, pageInfo });
+  } catch (err) {
+    if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+    console.error("Admin song trash error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ Restore a trashed song
+router.post("/songs/:id/restore", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ error: "Invalid song id" });
+
+    const song = await Song.findOne({ _id: id, deletedAt: { $ne: null } });
+    if (!song) return res.status(404).json({ error: "Song not found in trash" });
+
+    await song.restoreFromTrash();
+    res.json({ message: "Song restored", song });
+  } catch (err) {
+    console.error("Admin restore song error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ Run the trash purge now (it also runs periodically, see server.js)
+router.post("/trash/purge", async (req, res) => {
+  try {
+    const report = await purgeExpiredTrash();
+    res.json({ message: "Trash purge finished", retentionDays: trashRetentionDays(), ...report });
+  } catch (err) {
+    console.error("Admin trash purge error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ Backfill tags, duration and content hash from stored audio (songs missing any, or all with { all: true }).
+// Runs in batches: pass the returned `next` back as `after` to continue.
+router.post("/songs/backfill/metadata", async (req, res) => {
+  try {
+    const { all = false, after } = req.body || {};
+    const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || 50, 1), 500);
+    if (after && !mongoose.isValidObjectId(after)) return res.status(400).json({ error: "Invalid cursor" });
+
+    const unhashed = { contentHash: { $exists: false }, duplicateHash: { $exists: false } };
+    const query = all ? {} : { $or: [{ duration: { $in: [0, null] } }, unhashed] };
+    if (after) query._id = { $gt: after };
+
+    const songs = await Song.find(query).sort({ _id: 1 }).limit(limit);
+    const report = { processed: 0, updated: 0, failed: [] };
+
+    for (const song of songs) {
+      report.processed++;
+      try {
+        const buffer = await readBuffer(song.publicId, { kind: "audio" });
+        const meta = await extractMetadata(buffer);
+        if (!meta.duration) throw new Error("Could not read audio metadata");
+
+        const changed = applyMissingMetadata(song, meta);
+        if (!song.size) changed.push("size");
+        if (!song.contentHash && !song.duplicateHash) changed.push("contentHash");
+        song.size ||= buffer.length;
+        if (!song.duplicateHash) song.contentHash ||= contentHash(buffer);
+        if (changed.length) {
+          try {
+            await song.save();
+          } catch (err) {
+            if (!isContentHashConflict(err)) throw err;
+            // uploaded before duplicate checks: another song holds the hash, keep this one for the duplicates report
+            song.duplicateHash = song.contentHash;
+            song.contentHash = undefined;
+            await song.save();
+          }
+          report.updated++;
+        }
+      } catch (err) {
+        report.failed.push({ id: song._id, title: song.title, error: err.message });
+      }
     }
 
-    await song.deleteOne();
-    res.json({ message: "Song deleted" });
+    const next = songs.length === limit ? songs[songs.length - 1]._id : null;
+    res.json({ message: "Metadata backfill batch finished", ...report, next });
   } catch (err) {
-    console.error("Admin delete song error:", err);
+    console.error("Admin metadata backfill error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ Backfill covers from embedded artwork for songs without one (same batching as above)
+router.post("/songs/backfill/covers", async (req, res) => {
+  try {
+    const { after } = req.body || {};
+    const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || 50, 1), 500);
+    if (after && !mongoose.isValidObjectId(after)) return res.status(400).json({ error: "Invalid cursor" });
+
+    const query = { cover: { $in: ["", null] } };
+    if (after) query._id = { $gt: after };
+
+    const songs = await Song.find(query).sort({ _id: 1 }).limit(limit);
+    const report = { processed: 0, updated: 0, skipped: 0, failed: [] };
+
+    for (const song of songs) {
+      report.processed++;
+      try {
+        const meta = await extractMetadata(await readBuffer(song.publicId, { kind: "audio" }));
+        const cover = embeddedCover(meta);
+        if (!cover) {
+          report.skipped++;
+          continue;
+        }
+
+        const upload = await uploadCover(cover);
+        song.cover = upload.url;
+        song.coverPublicId = upload.key;
+        try {
+          await song.save();
+        } catch (err) {
+          await safeDelete(upload.key, { kind: "image" });
+          throw err;
+        }
+        report.updated++;
+      } catch (err) {
+        report.failed.push({ id: song._id, title: song.title, error: err.message });
+      }
+    }
+
+    const next = songs.length === limit ? songs[songs.length - 1]._id : null;
+    res.json({ message: "Cover backfill batch finished", ...report, next });
+  } catch (err) {
+    console.error("Admin cover backfill error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ Backfill waveform peaks for songs that have none (same batching as above; { all: true } regenerates)
+router.post("/songs/backfill/waveforms", async (req, res) => {
+  try {
+    const { all = false, after } = req.body || {};
+    const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || 20, 1), 200);
+    if (after && !mongoose.isValidObjectId(after)) return res.status(400).json({ error: "Invalid cursor" });
+
+    const query = after ? { _id: { $gt: after } } : {};
+    const songs = await Song.find(query).sort({ _id: 1 }).limit(limit).select("publicId title audioVersion");
+    // failed generations are retried
+    const existing = all
+      ? new Set()
+      : new Set(
+          (await Waveform.find({ songId: { $in: songs.map((s) => s._id) }, status: { $ne: "failed" } }).select("songId")).map((w) =>
+            w.songId.toString()
+          )
+        );
+
+    const report = { processed: 0, generated: 0, unsupported: 0, skipped: 0, failed: [] };
+    for (const song of songs) {
+      report.processed++;
+      if (existing.has(song._id.toString())) {
+        report.skipped++;
+        continue;
+      }
+      try {
+        const waveform = await generateWaveform(song);
+        if (waveform.status === "ready") report.generated++;
+        else report.unsupported++;
+      } catch (err) {
+        report.failed.push({ id: song._id, title: song.title, error: err.message });
+      }
+    }
+
+    const next = songs.length === limit ? songs[songs.length - 1]._id : null;
+    res.json({ message: "Waveform backfill batch finished", ...report, next });
+  } catch (err) {
+    console.error("Admin waveform backfill error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ Rebuild search tokens + denormalized uploader names (batched like the other backfills)
+router.post("/songs/backfill/search", async (req, res) => {
+  try {
+    const { after } = req.body || {};
+    const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || 200, 1), 1000);
+    if (after && !mongoose.isValidObjectId(after)) return res.status(400).json({ error: "Invalid cursor" });
+
+    const query = after ? { _id: { $gt: after } } : {};
+    const songs = await Song.find(query)
+      .sort({ _id: 1 })
+      .limit(limit)
+      .select("title artist album genre uploadedBy")
+      .populate("uploadedBy", "username displayName")
+      .lean();
+
+    for (const song of songs) {
+      const name = uploaderName(song.uploadedBy);
+      await Song.updateOne({ _id: song._id }, { $set: { uploaderName: name, ...buildSearchTokens({ ...song, uploaderName: name }) } });
+    }
+
+    const next = songs.length === limit ? songs[songs.length - 1]._id : null;
+    res.json({ message: "Search reindex batch finished", processed: songs.length, next });
+  } catch (err) {
+    console.error("Admin search reindex error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ Integrity check: references left dangling by deletions (GET reports, POST repairs)
+router.get("/integrity", async (req, res) => {
+  try {
+    res.json(await checkIntegrity());
+  } catch (err) {
+    console.error("Admin integrity check error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/integrity/repair", async (req, res) => {
+  try {
+    res.json({ message: "Integrity repair finished", ...(await checkIntegrity({ repair: true })) });
+  } catch (err) {
+    console.error("Admin integrity repair error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ Duplicate report: songs with identical audio (run the metadata backfill first for legacy songs)
+router.get("/songs/duplicates", async (req, res) => {
+  try {
+    const { limit, cursor } = pageParams(req.query, { defaultLimit: 50 });
+    const offset = offsetFromCursor(cursor);
+    // one extra group tells us whether there's another page
+    const groups = await findDuplicateGroups({ offset, limit: limit + 1 });
+    const pageInfo = offsetPageInfo(offset, limit, offset + groups.length);
+
+    res.json({
+      groups: groups.slice(0, limit),
+      unhashed: await Song.countDocuments({ contentHash: { $exists: false }, duplicateHash: { $exists: false } }),
+      pageInfo,
+    });
+  } catch (err) {
+    if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+    console.error("Admin duplicates error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ Merge duplicates into one canonical song (likes, playlist entries, listening events, plays)
+router.post("/songs/duplicates/merge", async (req, res) => {
+  try {
+    const { canonicalId, duplicateIds } = req.body || {};
+    if (!mongoose.isValidObjectId(canonicalId)) return res.status(400).json({ error: "Invalid canonical song id" });
+    if (!Array.isArray(duplicateIds) || !duplicateIds.length || !duplicateIds.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: "duplicateIds must be a non-empty array of song ids" });
+    }
+    if (duplicateIds.includes(canonicalId)) return res.status(400).json({ error: "Canonical song cannot be merged into itself" });
+
+    const canonical = await Song.findById(canonicalId);
+    if (!canonical) return res.status(404).json({ error: "Canonical song not found" });
+
+    const duplicates = await Song.find({ _id: { $in: duplicateIds } });
+    if (duplicates.length !== new Set(duplicateIds).size) return res.status(404).json({ error: "Some duplicate songs were not found" });
+    const hashOf = (song) => song.contentHash || song.duplicateHash;
+    if (!hashOf(canonical) || duplicates.some((d) => hashOf(d) !== hashOf(canonical))) {
+      return res.status(400).json({ error: "Songs are not exact duplicates of the canonical song" });
+    }
+
+    const report = await mergeDuplicateSongs(canonical, duplicates);
+    res.json({ message: "Duplicates merged", canonicalId: canonical._id, ...report });
+  } catch (err) {
+    console.error("Admin merge duplicates error:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
@@ -0,0 +1,112 @@
+import express from "express";
+import multer from "multer";
+import mongoose from "mongoose";
+import Album from "../models/Album.js";
+import Song from "../models/Song.js";
+import authMiddleware from "../middleware/auth.js";
+import requireRole from "../middleware/requireRole.js";
+import storage, { safeDelete } from "../services/storage/index.js";
+import { HIDDEN_SONG_FIELDS } from "../utils/songFields.js";
+import { listedFilter } from "../utils/songAccess.js";
+
+const router = express.Router();
+
+// Multer config: memory storage, 5MB limit, image-only filter
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith("image/")) return cb(new Error("Only image uploads are allowed"));
+    cb(null, true);
+  },
+});
+
+// 💿 Album page: details, artist and track listing
+router.get("/:id", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid album id" });
+
+    const album = await Album.findById(req.params.id).populate("artistId", "name image");
+    if (!album) return res.status(404).json({ error: "Album not found" });
+
+    const tracks = await Song.find({ albumId: album._id, ...listedFilter() })
+      .sort({ trackNumber: 1, createdAt: 1 })
+      .select(HIDDEN_SONG_FIELDS)
+      .populate("uploadedBy", "username displayName");
+
+    const totalDuration = tracks.reduce((sum, t) => sum + (t.duration || 0), 0);
+    res.json({ album, tracks, trackCount: tracks.length, totalDuration });
+  } catch (err) {
+    console.error("Get album error:", err);
+    res.status(500).json({ error: "Failed to fetch album" });
+  }
+});
+
+// ✏️ Edit album details (admin)
+router.patch("/:id", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid album id" });
+
+    const album = await Album.findById(req.params.id);
+    if (!album) return res.status(404).json({ error: "Album not found" });
+
+    const { description, releaseYear } = req.body || {};
+    if (description !== undefined) album.description = String(description);
+    if (releaseYear !== undefined) {
+      const year = releaseYear === null ? null : parseInt(releaseYear, 10);
+      if (year !== null && (!year || year < 1000 || year > 9999)) return res.status(400).json({ error: "Invalid release year" });
+      album.releaseYear = year;
+    }
+
+    await album.save();
+    res.json({ message: "Album updated", album });
+  } catch (err) {
+    console.error("Update album error:", err);
+    res.status(500).json({ error: "Failed to update album" });
+  }
+});
+
+// 🖼️ Replace album cover (admin)
+router.put(
+  "/:id/cover",
+  authMiddleware,
+  requireRole("admin"),
+  (req, res, next) => {
+    upload.single("cover")(req, res, (err) => {
+      if (err) {
+        if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: "File too large. Max size is 5MB" });
+        return res.status(400).json({ error: err.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid album id" });
+      if (!req.file) return res.status(400).json({ error: "No cover image provided" });
+
+      const album = await Album.findById(req.params.id);
+      if (!album) return res.status(404).json({ error: "Album not found" });
+
+      const result = await storage.put(req.file.buffer, {
+        kind: "image",
+        folder: "covers",
+        filename: req.file.originalname,
+        contentType: req.file.mimetype,
+      });
+      // only delete covers uploaded for the album itself — borrowed track covers belong to the songs
+      await safeDelete(album.coverPublicId, { kind: "image" });
+
+      album.cover = result.url;
+      album.coverPublicId = result.key;
+      await album.save();
+
+      res.json({ message: "✅ Album cover updated", cover: album.cover });
+    } catch (err) {
+      console.error("Album cover error:", err);
+      res.status(500).json({ error: "Failed to update album cover" });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,148 @@
+import express from "express";
+import multer from "multer";
+import mongoose from "mongoose";
+import Artist from "../models/Artist.js";
+import Album from "../models/Album.js";
+import Song from "../models/Song.js";
+import authMiddleware from "../middleware/auth.js";
+import requireRole from "../middleware/requireRole.js";
+import storage, { safeDelete } from "../services/storage/index.js";
+import { normalizeName } from "../services/catalog.js";
+import { refreshSearchTokens } from "../services/search.js";
+import { HIDDEN_SONG_FIELDS } from "../utils/songFields.js";
+import { listedFilter } from "../utils/songAccess.js";
+import { escapeRegex } from "../utils/regex.js";
+import { pageParams, paginate, PaginationError } from "../utils/pagination.js";
+
+const router = express.Router();
+
+// Multer config: memory storage, 5MB limit, image-only filter
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith("image/")) return cb(new Error("Only image uploads are allowed"));
+    cb(null, true);
+  },
+});
+
+// 🎤 List artists (?q= name prefix)
+router.get("/", async (req, res) => {
+  try {
+    const q = normalizeName(req.query.q || "");
+    const { limit, cursor } = pageParams(req.query, { defaultLimit: 50 });
+    const query = q ? { nameKey: { $regex: `^${escapeRegex(q)}` } } : {};
+
+    const { items: artists, pageInfo } = await paginate(Artist.find(query).select("name nameKey image"), {
+      sort: { nameKey: 1, _id: 1 },
+      limit,
+      cursor,
+    });
+    res.json({ artists, pageInfo });
+  } catch (err) {
+    if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+    console.error("List artists error:", err);
+    res.status(500).json({ error: "Failed to fetch artists" });
+  }
+});
+
+// 🎤 Artist page: profile, albums and tracks
+router.get("/:id", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid artist id" });
+
+    const artist = await Artist.findById(req.params.id);
+    if (!artist) return res.status(404).json({ error: "Artist not found" });
+
+    const [albums, tracks] = await Promise.all([
+      Album.find({ artistId: artist._id }).sort({ releaseYear: -1, createdAt: -1 }),
+      Song.find({ artistId: artist._id, ...listedFilter() })
+        .sort({ plays: -1, createdAt: -1 })
+        .select(HIDDEN_SONG_FIELDS)
+        .populate("uploadedBy", "username displayName"),
+    ]);
+
+    res.json({ artist, albums, tracks });
+  } catch (err) {
+    console.error("Get artist error:", err);
+    res.status(500).json({ error: "Failed to fetch artist" });
+  }
+});
+
+// ✏️ Edit artist name/bio (admin)
+router.patch("/:id", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid artist id" });
+
+    const artist = await Artist.findById(req.params.id);
+    if (!artist) return res.status(404).json({ error: "Artist not found" });
+
+    const { name, bio } = req.body || {};
+    if (bio !== undefined) artist.bio = String(bio);
+
+    const renamed = typeof name === "string" && name.trim() && name.trim() !== artist.name;
+    if (renamed) {
+      const nameKey = normalizeName(name);
+      if (nameKey !== artist.nameKey && (await Artist.exists({ nameKey }))) {
+        return res.status(409).json({ error: "Another artist already has this name" });
+      }
+      artist.name = name.trim();
+      artist.nameKey = nameKey;
+    }
+
+    await artist.save();
+    if (renamed) {
+      await Song.updateMany({ artistId: artist._id }, { $set: { artist: artist.name } });
+      await refreshSearchTokens({ artistId: artist._id });
+    }
+
+    res.json({ message: "Artist updated", artist });
+  } catch (err) {
+    console.error("Update artist error:", err);
+    res.status(500).json({ error: "Failed to update artist" });
+  }
+});
+
+// 🖼️ Replace artist image (admin)
+router.put(
+  "/:id/image",
+  authMiddleware,
+  requireRole("admin"),
+  (req, res, next) => {
+    upload.single("image")(req, res, (err) => {
+      if (err) {
+        if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ error: "File too large. Max size is 5MB" });
+        return res.status(400).json({ error: err.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid artist id" });
+      if (!req.file) return res.status(400).json({ error: "No image provided" });
+
+      const artist = await Artist.findById(req.params.id);
+      if (!artist) return res.status(404).json({ error: "Artist not found" });
+
+      const result = await storage.put(req.file.buffer, {
+        kind: "image",
+        folder: "artists",
+        filename: req.file.originalname,
+        contentType: req.file.mimetype,
+      });
+      await safeDelete(artist.imagePublicId, { kind: "image" });
+
+      artist.image = result.url;
+      artist.imagePublicId = result.key;
+      await artist.save();
+
+      res.json({ message: "Artist image updated", image: artist.image });
+    } catch (err) {
+      console.error("Artist image error:", err);
+      res.status(500).json({ error: "Failed to update artist image" });
+    }
+  }
+);
+
+export default router;
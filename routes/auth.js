@@ -9,6 +9,7 @@ import rateLimit from "express-rate-limit";
 import authMiddleware from "../middleware/auth.js";
 import { setAuthCookies } from "../utils/authCookies.js"; // ✅ keep single source
 import User from "../models/User.js";
+import { refreshUploaderName } from "../services/search.js";
 
 const router = express.Router();
 const { JWT_ACCESS_SECRET, JWT_REFRESH_SECRET } = process.env;
@@ -257,6 +258,7 @@ router.put("/me", [body("displayName").optional().isString().isLength({ min: 1,
 
       const user = await User.findByIdAndUpdate(payload.sub, update, { new: true }).lean();
       if (!user) return res.status(404).json({ error: "User not found" });
+      if (displayName) await refreshUploaderName(user);
 
       return res.json({
          message: "Profile updated",
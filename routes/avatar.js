@@ -1,7 +1,7 @@
 // routes/avatar.js
 import express from "express";
 import multer from "multer";
-import cloudinary from "../config/cloudinary.js";
+import storage, { safeDelete } from "../services/storage/index.js";
 import User from "../models/User.js";
 import authMiddleware from "../middleware/auth.js";
 
@@ -46,36 +46,20 @@ router.post(
          if (!user) return res.status(404).json({ error: "User not found" });
 
          // ✅ Delete old avatar if exists
-         if (user.avatarPublicId) {
-            try {
-               await cloudinary.uploader.destroy(user.avatarPublicId);
-            } catch (err) {
-               console.warn("⚠️ Failed to delete old avatar:", err.message);
-            }
-         }
+         await safeDelete(user.avatarPublicId, { kind: "image" });
 
-         // ✅ Upload new avatar to Cloudinary
-         const result = await new Promise((resolve, reject) => {
-            const stream = cloudinary.uploader.upload_stream(
-               {
-                  folder: "avatars",
-                  transformation: [{ width: 200, height: 200, crop: "fill" }],
-               },
-               (error, result) => {
-                  if (error) {
-                     console.error("Cloudinary error:", error);
-                     reject(new Error("Cloudinary upload failed"));
-                  } else {
-                     resolve(result);
-                  }
-               }
-            );
-            stream.end(req.file.buffer);
+         // ✅ Upload new avatar to storage
+         const result = await storage.put(req.file.buffer, {
+            kind: "image",
+            folder: "avatars",
+            filename: req.file.originalname,
+            contentType: req.file.mimetype,
+            transform: { width: 200, height: 200, crop: "fill" },
          });
 
-         // ✅ Save avatar URL + public_id to user
-         user.avatarUrl = result.secure_url;
-         user.avatarPublicId = result.public_id;
+         // ✅ Save avatar URL + storage key to user
+         user.avatarUrl = result.url;
+         user.avatarPublicId = result.key;
          await user.save();
 
          return res.json({
@@ -102,14 +86,8 @@ router.post("/remove", authMiddleware, async (req, res) => {
       const user = await User.findById(req.user.id);
       if (!user) return res.status(404).json({ error: "User not found" });
 
-      // Delete from Cloudinary if exists
-      if (user.avatarPublicId) {
-         try {
-            await cloudinary.uploader.destroy(user.avatarPublicId);
-         } catch (err) {
-            console.warn("⚠️ Failed to delete avatar from Cloudinary:", err.message);
-         }
-      }
+      // Delete from storage if exists
+      await safeDelete(user.avatarPublicId, { kind: "image" });
 
       // Reset fields in DB
       user.avatarUrl = "";
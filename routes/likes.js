@@ -3,19 +3,33 @@ import mongoose from "mongoose";
 import Like from "../models/Like.js";
 import Song from "../models/Song.js";
 import authMiddleware from "../middleware/auth.js";
+import { HIDDEN_SONG_FIELDS } from "../utils/songFields.js";
+import { pageParams, paginate, PaginationError } from "../utils/pagination.js";
+import { viewableFilter, canView } from "../utils/songAccess.js";
 
 const router = express.Router();
 
-// ✅ Get current user's liked songs (populated)
+// ✅ Get current user's liked songs, newest first (cursor-paginated; likedIds on the first page).
+// Songs that went private since being liked are left out.
 router.get("/mine", authMiddleware, async (req, res) => {
   try {
-    const likes = await Like.find({ userId: req.user.id })
-      .sort({ createdAt: -1 })
-      .populate({ path: "songId", populate: { path: "uploadedBy", select: "username displayName" } });
+    const { limit, cursor } = pageParams(req.query);
+    const { items: likes, pageInfo } = await paginate(
+      Like.find({ userId: req.user.id }).populate({
+        path: "songId",
+        select: HIDDEN_SONG_FIELDS,
+        match: viewableFilter(req.user),
+        populate: { path: "uploadedBy", select: "username displayName" },
+      }),
+      { sort: { createdAt: -1, _id: -1 }, limit, cursor }
+    );
 
     const songs = likes.map((l) => l.songId).filter(Boolean);
-    res.json({ songs, likedIds: likes.map((l) => l.songId?._id?.toString()) });
+    const body = { songs, pageInfo };
+    if (!cursor) body.likedIds = (await Like.distinct("songId", { userId: req.user.id })).map(String);
+    res.json(body);
   } catch (err) {
+    if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
     console.error("Get liked songs error:", err);
     res.status(500).json({ error: "Server error" });
   }
@@ -28,7 +42,7 @@ router.post("/:id", authMiddleware, async (req, res) => {
     if (!mongoose.isValidObjectId(songId)) return res.status(400).json({ error: "Invalid song id" });
 
     const song = await Song.findById(songId);
-    if (!song) return res.status(404).json({ error: "Song not found" });
+    if (!song || !canView(song, req.user)) return res.status(404).json({ error: "Song not found" });
 
     const existing = await Like.findOne({ userId: req.user.id, songId });
     if (!existing) {
@@ -1,13 +1,61 @@
 import express from "express";
 import multer from "multer";
-import cloudinary from "../config/cloudinary.js";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import storage, { safeDelete } from "../services/storage/index.js";
+import {
+  createSongFromFile,
+  uploadCover,
+  replaceSongAudio,
+  rollbackSongAudio,
+  DuplicateSongError,
+  AudioVersionConflictError,
+} from "../services/songAssets.js";
 import Song from "../models/Song.js";
 import User from "../models/User.js";
 import ListeningEvent from "../models/ListeningEvent.js";
-import authMiddleware from "../middleware/auth.js";
+import Waveform from "../models/Waveform.js";
+import RecentSearch from "../models/RecentSearch.js";
+import authMiddleware, { optionalAuth } from "../middleware/auth.js";
+import requireRole from "../middleware/requireRole.js";
+import { signStreamToken, verifyStreamToken } from "../utils/streamToken.js";
+import { parseRange } from "../utils/httpRange.js";
+import { audioMimeType } from "../utils/audioMetadata.js";
+import { extractZipEntries, ZipTooLargeError } from "../utils/zip.js";
+import { makeTempDir, removeTempDir } from "../utils/tempDir.js";
+import { resamplePeaks, WAVEFORM_BUCKETS } from "../utils/waveform.js";
+import { queueWaveform, isCurrentWaveform } from "../services/waveforms.js";
+import { parseLrc, lrcToText } from "../utils/lrc.js";
+import { HIDDEN_SONG_FIELDS } from "../utils/songFields.js";
+import {
+  pageParams,
+  paginate,
+  offsetFromCursor,
+  offsetPageInfo,
+  encodeCursor,
+  decodeCursor,
+  PaginationError,
+} from "../utils/pagination.js";
+import {
+  parseSongListQuery,
+  parseTagFilter,
+  parseFacetFilters,
+  randomStart,
+  InvalidQueryError,
+  TITLE_COLLATION,
+} from "../utils/songQuery.js";
+import { CURATED_TAGS, TAG_KINDS, MAX_TAGS_PER_SONG, normalizeTag, tagKind } from "../utils/tags.js";
+import { purgeAt } from "../utils/softDelete.js";
+import { listedFilter, canView, isValidVisibility, isValidReleaseAt } from "../utils/songAccess.js";
+import { linkSongEntities } from "../services/catalog.js";
+import { searchSongs, suggest, recordSearch, recentSearches } from "../services/search.js";
 
 const router = express.Router();
 
+const MAX_LYRICS_LENGTH = 100 * 1024;
+
 // ─────────── MULTER CONFIG (memory upload, 20MB limit) ───────────
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -22,6 +70,86 @@ const upload = multer({
   },
 });
 
+// ─────────── BULK MULTER CONFIG (many songs or one ZIP, to a temp dir, 1GB per request) ───────────
+const BULK_MAX_TRACKS = 50;
+const BULK_SONG_MAX_BYTES = 200 * 1024 * 1024; // lossless tracks, like resumable uploads
+const BULK_COVER_MAX_BYTES = 20 * 1024 * 1024;
+const BULK_MAX_BYTES = 1024 * 1024 * 1024; // whole request, and a ZIP's unpacked contents
+
+// A bulk upload crossed a per-file or per-request size limit (routes answer 413)
+class UploadLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UploadLimitError";
+    this.status = 413;
+  }
+}
+
+const megabytes = (bytes) => Math.round(bytes / 1024 / 1024);
+
+/**
+ * Disk storage into `req.tempDir` that caps each file by field (`maxFileBytes[fieldname]`) and every
+ * file of the request together (`maxTotalBytes`), failing as soon as a limit is crossed.
+ * Files keep their extension so the audio format can be told from the path.
+ */
+function cappedDiskStorage({ maxFileBytes, maxTotalBytes }) {
+  return {
+    _handleFile(req, file, cb) {
+      const filePath = path.join(req.tempDir, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+      const out = fs.createWriteStream(filePath);
+      let size = 0;
+      let failed = false;
+      const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        file.stream.unpipe(out);
+        out.destroy();
+        file.stream.resume();
+        cb(err);
+      };
+
+      file.stream.on("data", (chunk) => {
+        size += chunk.length;
+        req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+        if (size > maxFileBytes[file.fieldname]) {
+          fail(new UploadLimitError(`File too large. Max size is ${megabytes(maxFileBytes[file.fieldname])}MB`));
+        } else if (req.uploadedBytes > maxTotalBytes) {
+          fail(new UploadLimitError(`Upload too large. Max is ${megabytes(maxTotalBytes)}MB per request`));
+        }
+      });
+      file.stream.on("error", fail);
+      out.on("error", fail);
+      out.on("finish", () => !failed && cb(null, { path: filePath, size }));
+      file.stream.pipe(out);
+    },
+    _removeFile(req, file, cb) {
+      fs.unlink(file.path, () => cb(null));
+    },
+  };
+}
+
+const bulkUpload = multer({
+  storage: cappedDiskStorage({
+    maxFileBytes: { songs: BULK_SONG_MAX_BYTES, archive: BULK_MAX_BYTES, cover: BULK_COVER_MAX_BYTES },
+    maxTotalBytes: BULK_MAX_BYTES,
+  }),
+  limits: { fileSize: BULK_MAX_BYTES, files: BULK_MAX_TRACKS + 2 },
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    const isAudio = file.fieldname === "songs" && (file.mimetype.startsWith("audio/") || audioMimeType(name));
+    const isZip = file.fieldname === "archive" && (file.mimetype.includes("zip") || name.endsWith(".zip"));
+    const isImage = file.fieldname === "cover" && file.mimetype.startsWith("image/");
+    if (!isAudio && !isZip && !isImage) {
+      return cb(new Error(`Unsupported file "${file.originalname}" for field "${file.fieldname}"`));
+    }
+    cb(null, true);
+  },
+});
+
+// Audio entries worth importing from an album ZIP (skips macOS metadata and hidden files)
+const isZipAudioEntry = (name) =>
+  !name.startsWith("__MACOSX/") && !path.basename(name).startsWith(".") && Boolean(audioMimeType(name));
+
 /* ──────────────────────────────── UPLOAD SONG ──────────────────────────────── */
 router.post(
   "/upload",
@@ -45,112 +173,339 @@ router.post(
       const songFile = req.files?.song?.[0];
       const coverFile = req.files?.cover?.[0];
       if (!songFile) return res.status(400).json({ error: "No song file uploaded" });
+      if (req.body.visibility !== undefined && !isValidVisibility(req.body.visibility)) {
+        return res.status(400).json({ error: "visibility must be public, unlisted or private" });
+      }
+      if (req.body.releaseAt !== undefined && !isValidReleaseAt(req.body.releaseAt)) {
+        return res.status(400).json({ error: "releaseAt must be an ISO date" });
+      }
 
       const user = await User.findById(req.user.id);
       if (!user) return res.status(404).json({ error: "User not found" });
 
-      // ─────────── Upload song to Cloudinary (public) ───────────
-      const songUpload = await new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-          {
-            resource_type: "video",
-            folder: "songs",
-            type: "upload", // public file delivery
-            access_mode: "public",
-          },
-          (error, result) => (error ? reject(error) : resolve(result))
-        );
-        stream.end(songFile.buffer);
-      });
-
-      // ─────────── Upload cover (optional) ───────────
-      let coverUrl = "";
-      if (coverFile) {
-        const coverUpload = await new Promise((resolve, reject) => {
-          const stream = cloudinary.uploader.upload_stream(
-            {
-              resource_type: "image",
-              folder: "covers",
-              access_mode: "public",
-            },
-            (error, result) => (error ? reject(error) : resolve(result))
-          );
-          stream.end(coverFile.buffer);
-        });
-        coverUrl = coverUpload.secure_url;
-      }
-
-      // ─────────── Save in MongoDB ───────────
-      const newSong = await Song.create({
-        title: req.body.title || songFile.originalname,
-        artist: req.body.artist || "Unknown Artist",
-        album: req.body.album || "Singles",
-        genre: req.body.genre || "Unknown",
-        cover: coverUrl || "",
-        url: songUpload.secure_url,
-        publicId: songUpload.public_id,
-        uploadedBy: user._id,
+      const newSong = await createSongFromFile({
+        file: songFile,
+        body: req.body,
+        cover: coverFile && { buffer: coverFile.buffer, filename: coverFile.originalname, contentType: coverFile.mimetype },
+        userId: user._id,
       });
 
       res.json({ message: "✅ Song uploaded successfully", song: newSong });
     } catch (err) {
+      if (err instanceof DuplicateSongError) {
+        return res.status(409).json({ error: err.message, duplicateOf: err.duplicateOf });
+      }
       console.error("Upload error:", err);
       res.status(500).json({ error: "Upload failed" });
     }
   }
 );
 
+// 💿 Bulk album upload: many `songs` files or one `archive` ZIP, plus shared album/artist/genre/year/visibility/releaseAt and `cover`
+router.post(
+  "/upload/bulk",
+  authMiddleware,
+  async (req, res, next) => {
+    // removed by the handler, or below if the upload is rejected
+    req.tempDir = await makeTempDir("bulk");
+    bulkUpload.fields([
+      { name: "songs", maxCount: BULK_MAX_TRACKS },
+      { name: "archive", maxCount: 1 },
+      { name: "cover", maxCount: 1 },
+    ])(req, res, async (err) => {
+      if (err) {
+        await removeTempDir(req.tempDir);
+        if (err instanceof UploadLimitError) return res.status(413).json({ error: err.message });
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({ error: `File too large. Max size is ${megabytes(BULK_MAX_BYTES)}MB` });
+        }
+        if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+          return res.status(400).json({ error: `Too many files. Max is ${BULK_MAX_TRACKS} songs per request` });
+        }
+        return res.status(400).json({ error: err.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      const songFiles = req.files?.songs || [];
+      const archive = req.files?.archive?.[0];
+      const coverFile = req.files?.cover?.[0];
+
+      if (!songFiles.length && !archive) return res.status(400).json({ error: "No songs or archive uploaded" });
+      if (songFiles.length && archive) return res.status(400).json({ error: "Send either songs or one archive, not both" });
+      if (req.body.visibility !== undefined && !isValidVisibility(req.body.visibility)) {
+        return res.status(400).json({ error: "visibility must be public, unlisted or private" });
+      }
+      if (req.body.releaseAt !== undefined && !isValidReleaseAt(req.body.releaseAt)) {
+        return res.status(400).json({ error: "releaseAt must be an ISO date" });
+      }
+
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      let tracks = songFiles.map((f) => ({
+        path: f.path,
+        size: f.size,
+        originalname: f.originalname,
+        mimetype: f.mimetype.startsWith("audio/") ? f.mimetype : audioMimeType(f.originalname),
+      }));
+
+      if (archive) {
+        let entries;
+        try {
+          entries = await extractZipEntries(archive.path, req.tempDir, {
+            filter: isZipAudioEntry,
+            maxEntries: BULK_MAX_TRACKS,
+            maxTotalBytes: BULK_MAX_BYTES,
+          });
+        } catch (err) {
+          return res.status(err instanceof ZipTooLargeError ? 413 : 400).json({ error: err.message });
+        }
+        tracks = entries
+          .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+          .map((e) => ({ path: e.path, size: e.size, originalname: path.basename(e.name), mimetype: audioMimeType(e.name) }));
+      }
+      if (!tracks.length) return res.status(400).json({ error: "No audio files found in upload" });
+
+      // Album-level fields apply to every track; titles and track numbers come from each file
+      const shared = {};
+      for (const field of ["album", "artist", "genre", "year", "visibility", "releaseAt"]) {
+        if (req.body[field]) shared[field] = req.body[field];
+      }
+
+      const sharedCover = coverFile
+        ? await uploadCover({
+            buffer: await fs.promises.readFile(coverFile.path),
+            filename: coverFile.originalname,
+            contentType: coverFile.mimetype,
+          })
+        : null;
+
+      const results = [];
+      for (const track of tracks) {
+        if (track.size > BULK_SONG_MAX_BYTES) {
+          results.push({ file: track.originalname, ok: false, error: `File too large. Max size is ${megabytes(BULK_SONG_MAX_BYTES)}MB` });
+          continue;
+        }
+        try {
+          const song = await createSongFromFile({ file: track, body: shared, sharedCover, userId: user._id });
+          results.push({ file: track.originalname, ok: true, song });
+        } catch (err) {
+          if (err instanceof DuplicateSongError) {
+            results.push({ file: track.originalname, ok: false, error: err.message, duplicateOf: err.duplicateOf });
+            continue;
+          }
+          console.warn(`Bulk upload failed for ${track.originalname}:`, err.message);
+          results.push({ file: track.originalname, ok: false, error: err.message || "Upload failed" });
+        }
+      }
+
+      const created = results.filter((r) => r.ok).length;
+      // Nothing references the album cover if every track failed
+      if (!created && sharedCover) await safeDelete(sharedCover.key, { kind: "image" });
+
+      res.status(created ? 200 : 400).json({
+        message: created === results.length ? "✅ Album uploaded successfully" : `Uploaded ${created} of ${results.length} songs`,
+        created,
+        failed: results.length - created,
+        results,
+      });
+    } catch (err) {
+      console.error("Bulk upload error:", err);
+      res.status(500).json({ error: "Bulk upload failed" });
+    } finally {
+      await removeTempDir(req.tempDir);
+    }
+  }
+);
+
 /* ──────────────────────────────── FETCH SONGS ──────────────────────────────── */
 
-// 🎧 All songs (optional ?genre= filter)
+/**
+ * One page of the seeded random order: songs by stored randomKey from the seed's start point up,
+ * then wrapping round from 0 back to it. Both halves are keyset-paginated on the randomKey index;
+ * the cursor also records which half it's in.
+ */
+async function randomPage(filter, songsQuery, { seed, sort, limit, cursor }) {
+  const signature = `random:${seed}`;
+  const [wrapped, after] = cursor ? decodeCursor(cursor, signature) : [false, null];
+  if (typeof wrapped !== "boolean" || (after !== null && typeof after !== "string")) throw new PaginationError();
+
+  const start = randomStart(seed);
+  const half = (wrappedHalf) => ({ randomKey: wrappedHalf ? { $lt: start } : { $gte: start } });
+  const { items, pageInfo } = await paginate(songsQuery().where(half(wrapped)), { sort, limit, cursor: after });
+  if (pageInfo.hasMore) return { items, pageInfo: { ...pageInfo, next: encodeCursor(signature, [wrapped, pageInfo.next]) } };
+  if (wrapped) return { items, pageInfo };
+
+  // top of the key range reached: fill the page from the wrapped half
+  const room = limit - items.length;
+  if (!room) {
+    const hasMore = Boolean(await Song.exists({ ...filter, ...half(true) }));
+    return { items, pageInfo: { next: hasMore ? encodeCursor(signature, [true, null]) : null, hasMore, limit } };
+  }
+  const rest = await paginate(songsQuery().where(half(true)), { sort, limit: room, cursor: null });
+  return {
+    items: [...items, ...rest.items],
+    pageInfo: { next: rest.pageInfo.next && encodeCursor(signature, [true, rest.pageInfo.next]), hasMore: rest.pageInfo.hasMore, limit },
+  };
+}
+
+// 🎧 All songs — filters, sort and params are documented in utils/songQuery.js (cursor-paginated)
 router.get("/", async (req, res) => {
   try {
-    const { genre, limit = 100, sort } = req.query;
-    const query = {};
-    if (genre) query.genre = genre;
+    const { filter, sortName, sort, seed, uploaderUsername } = parseSongListQuery(req.query);
+    const { limit, cursor } = pageParams(req.query);
+    Object.assign(filter, listedFilter());
+
+    if (uploaderUsername) {
+      const uploader = await User.findOne({ username: uploaderUsername }).select("_id");
+      filter.uploadedBy = uploader?._id ?? null; // unknown username → empty list
+    }
 
-    let songsQuery = Song.find(query).populate("uploadedBy", "username displayName");
-    if (sort === "popular") songsQuery = songsQuery.sort({ plays: -1, likesCount: -1 });
-    else if (sort === "recent") songsQuery = songsQuery.sort({ createdAt: -1 });
-    else songsQuery = songsQuery.sort({ createdAt: -1 });
+    const songsQuery = () => Song.find(filter).select(HIDDEN_SONG_FIELDS).populate("uploadedBy", "username displayName");
 
-    const songs = await songsQuery.limit(parseInt(limit, 10) || 100);
-    res.json({ songs });
+    if (sortName === "random") {
+      // the client passes the returned seed back with the cursor when paging
+      const shuffleSeed = seed || crypto.randomBytes(6).toString("base64url");
+      const { items: songs, pageInfo } = await randomPage(filter, songsQuery, { seed: shuffleSeed, sort, limit, cursor });
+      return res.json({ songs, seed: shuffleSeed, pageInfo });
+    }
+
+    const query = songsQuery();
+    if (sortName === "title") query.collation(TITLE_COLLATION);
+    const { items: songs, pageInfo } = await paginate(query, { sort, limit, cursor });
+    res.json({ songs, pageInfo });
   } catch (err) {
+    if (err instanceof PaginationError || err instanceof InvalidQueryError) return res.status(400).json({ error: err.message });
+    console.error("List songs error:", err);
     res.status(500).json({ error: "Failed to fetch songs" });
   }
 });
 
-// 🏷️ All genres (distinct)
+// 🏷️ All genres (distinct, public songs only)
 router.get("/genres", async (req, res) => {
   try {
-    const genres = await Song.distinct("genre");
+    const genres = await Song.distinct("genre", listedFilter());
     res.json({ genres: genres.filter(Boolean).sort() });
   } catch (err) {
     res.status(500).json({ error: "Failed to fetch genres" });
   }
 });
 
-// 🔍 Search by title, artist, album
-router.get("/search", async (req, res) => {
+// 🏷️ Tag counts, curated moods/activities included even when unused (?kind=mood|activity|user)
+router.get("/tags", async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind !== undefined && !TAG_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${TAG_KINDS.join(", ")}` });
+    }
+
+    const counts = await Song.aggregate([
+      { $match: listedFilter() },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+    ]);
+    const byTag = new Map(Object.values(CURATED_TAGS).flat().map((t) => [t, 0]));
+    for (const { _id, count } of counts) byTag.set(_id, count);
+
+    const tags = [...byTag.entries()]
+      .map(([tag, count]) => ({ tag, kind: tagKind(tag), count }))
+      .filter((t) => !kind || t.kind === kind)
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    res.json({ tags });
+  } catch (err) {
+    console.error("List tags error:", err);
+    res.status(500).json({ error: "Failed to fetch tags" });
+  }
+});
+
+// 🏷️ Songs with a tag, newest first (cursor-paginated)
+router.get("/tags/:tag", async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) return res.status(400).json({ error: "Invalid tag" });
+    const { limit, cursor } = pageParams(req.query);
+
+    const { items: songs, pageInfo } = await paginate(
+      Song.find({ tags: tag, ...listedFilter() }).select(HIDDEN_SONG_FIELDS).populate("uploadedBy", "username displayName"),
+      { sort: { createdAt: -1, _id: -1 }, limit, cursor }
+    );
+    res.json({ tag, kind: tagKind(tag), songs, pageInfo });
+  } catch (err) {
+    if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+    console.error("Songs by tag error:", err);
+    res.status(500).json({ error: "Failed to fetch songs" });
+  }
+});
+
+// 🔍 Ranked search (?q=&limit=&cursor=, optional genre/artist/album/tag filters)
+router.get("/search", optionalAuth, async (req, res) => {
   try {
     const q = req.query.q?.trim() || "";
-    if (!q) return res.json({ songs: [] });
+    const { limit, cursor } = pageParams(req.query, { maxLimit: 50 });
+    const offset = offsetFromCursor(cursor);
+    if (!q) {
+      return res.json({ songs: [], total: 0, facets: { genre: [], artist: [], album: [] }, pageInfo: offsetPageInfo(0, limit, 0) });
+    }
 
-    const songs = await Song.find({
-      $or: [{ title: { $regex: q, $options: "i" } }, { artist: { $regex: q, $options: "i" } }, { album: { $regex: q, $options: "i" } }],
-    }).populate("uploadedBy", "username displayName");
+    const { tag } = req.query;
+    const { songs, total, ranked, facets } = await searchSongs(q.slice(0, 200), {
+      offset,
+      limit,
+      filters: parseFacetFilters(req.query),
+      baseQuery: { ...listedFilter(), ...(tag !== undefined && { tags: { $all: parseTagFilter(tag) } }) },
+    });
 
-    res.json({ songs });
-  } catch {
+    // first page only, so paging through results doesn't re-record the query
+    if (req.user && !offset) {
+      recordSearch(req.user.id, q).catch((err) => console.error("Record search error:", err));
+    }
+
+    res.json({ songs, total, facets, pageInfo: offsetPageInfo(offset, limit, ranked) });
+  } catch (err) {
+    if (err instanceof PaginationError || err instanceof InvalidQueryError) return res.status(400).json({ error: err.message });
+    console.error("Search error:", err);
     res.status(500).json({ error: "Failed to search songs" });
   }
 });
 
+// ⌨️ Autocomplete (?q=&limit=); with an empty query, the caller's recent searches
+router.get("/suggest", optionalAuth, async (req, res) => {
+  try {
+    const q = req.query.q?.trim().slice(0, 100) || "";
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 5), 10);
+
+    if (!q) {
+      const recent = req.user ? await recentSearches(req.user.id) : [];
+      return res.json({ query: "", recent });
+    }
+
+    res.json({ query: q, ...(await suggest(q, { limit })) });
+  } catch (err) {
+    console.error("Suggest error:", err);
+    res.status(500).json({ error: "Failed to fetch suggestions" });
+  }
+});
+
+// 🧹 Clear the caller's recent searches
+router.delete("/search/recent", authMiddleware, async (req, res) => {
+  try {
+    await RecentSearch.deleteMany({ userId: req.user.id });
+    res.json({ message: "Recent searches cleared" });
+  } catch (err) {
+    console.error("Clear recent searches error:", err);
+    res.status(500).json({ error: "Failed to clear recent searches" });
+  }
+});
+
 // 💿 Album
 router.get("/album/:albumName", async (req, res) => {
   try {
-    const songs = await Song.find({ album: req.params.albumName }).populate("uploadedBy", "username displayName");
+    const songs = await Song.find({ album: req.params.albumName, ...listedFilter() })
+      .select(HIDDEN_SONG_FIELDS)
+      .populate("uploadedBy", "username displayName");
 
     if (!songs.length) return res.status(404).json({ error: "No songs found for this album" });
     res.json({ album: req.params.albumName, songs });
@@ -159,11 +514,397 @@ router.get("/album/:albumName", async (req, res) => {
   }
 });
 
+/* ──────────────────────────────── STREAMING ──────────────────────────────── */
+
+// 🎟️ Mint a short-lived stream token (valid for the song length + headroom so seeking keeps working)
+router.get("/:id/stream-token", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid song id" });
+
+    const song = await Song.findById(req.params.id).select("duration visibility releaseAt uploadedBy");
+    if (!song || !canView(song, req.user)) return res.status(404).json({ error: "Song not found" });
+
+    const ttlSeconds = Math.max(5 * 60, Math.ceil(song.duration || 0) + 60);
+    const token = signStreamToken({ userId: req.user.id, songId: song._id.toString(), ttlSeconds });
+
+    res.json({ token, expiresIn: ttlSeconds, streamUrl: `/api/music/${song._id}/stream?t=${encodeURIComponent(token)}` });
+  } catch (err) {
+    console.error("Stream token error:", err);
+    res.status(500).json({ error: "Failed to create stream token" });
+  }
+});
+
+// 🔊 Proxy the audio (supports Range / 206 Partial Content for seeking)
+router.get("/:id/stream", async (req, res) => {
+  try {
+    const token = req.query.t;
+    if (!token || typeof token !== "string") return res.status(401).json({ error: "Missing stream token" });
+
+    let payload;
+    try {
+      payload = verifyStreamToken(token);
+    } catch (err) {
+      const error = err.name === "TokenExpiredError" ? "Stream token expired" : "Invalid stream token";
+      return res.status(401).json({ error });
+    }
+    if (payload.sid !== req.params.id) return res.status(403).json({ error: "Token does not match this song" });
+    const user = mongoose.isValidObjectId(payload.sub) && (await User.findById(payload.sub).select("roles"));
+    if (!user) return res.status(403).json({ error: "Invalid stream token" });
+
+    // re-checked here: the song may have been made private after the token was minted
+    const song = await Song.findById(req.params.id).select("publicId size visibility releaseAt uploadedBy");
+    if (!song || !canView(song, { id: user.id, roles: user.roles })) return res.status(404).json({ error: "Song not found" });
+
+    // Size is needed to answer ranges; legacy songs get it filled in on first stream
+    let size = song.size;
+    let contentType;
+    if (!size) {
+      const info = await storage.stat(song.publicId, { kind: "audio" });
+      if (!info) return res.status(404).json({ error: "Audio file missing" });
+      size = info.size;
+      contentType = info.contentType;
+      await Song.updateOne({ _id: song._id }, { size });
+    }
+
+    const range = parseRange(req.headers.range, size);
+    if (range?.unsatisfiable) {
+      res.setHeader("Content-Range", `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    let { start, end } = range || { start: 0, end: size - 1 };
+    const file = await storage.read(song.publicId, { kind: "audio", ...(range && { start, end }) });
+    // storage ignored the range and sent the whole file: answer a plain 200 rather than mislabel it
+    const partial = Boolean(range) && file.partial;
+    if (!partial) [start, end] = [0, size - 1];
+
+    res.status(partial ? 206 : 200);
+    res.setHeader("Content-Type", file.contentType || contentType || "audio/mpeg");
+    res.setHeader("Content-Length", end - start + 1);
+    res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader("Cache-Control", "private, no-store");
+    if (partial) res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+
+    file.body.on("error", (err) => {
+      console.warn("Stream aborted:", err.message);
+      res.destroy(err);
+    });
+    req.on("close", () => file.body.destroy());
+    file.body.pipe(res);
+  } catch (err) {
+    console.error("Stream error:", err);
+    if (!res.headersSent) res.status(500).json({ error: "Failed to stream song" });
+    else res.end();
+  }
+});
+
+// 〰️ Waveform peaks (?resolution= buckets, 16–2048); missing ones are generated in the background (202 until ready)
+router.get("/:id/waveform", optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid song id" });
+
+    const resolution = req.query.resolution === undefined ? 512 : Number(req.query.resolution);
+    if (!Number.isInteger(resolution) || resolution < 16 || resolution > WAVEFORM_BUCKETS) {
+      return res.status(400).json({ error: `resolution must be an integer between 16 and ${WAVEFORM_BUCKETS}` });
+    }
+
+    const song = await Song.findById(req.params.id).select("publicId audioVersion visibility releaseAt uploadedBy");
+    if (!song || !canView(song, req.user)) return res.status(404).json({ error: "Song not found" });
+
+    const waveform = await Waveform.findOne({ songId: song._id });
+    if (!waveform || !isCurrentWaveform(waveform, song)) {
+      queueWaveform(song);
+      res.setHeader("Retry-After", "5");
+      return res.status(202).json({ status: "pending", message: "Waveform is being generated, try again shortly" });
+    }
+    if (waveform.status === "failed") return res.status(404).json({ error: "Waveform could not be generated for this audio" });
+    if (waveform.status !== "ready") return res.status(404).json({ error: "Waveform not available for this audio format" });
+
+    // peaks change with the audio (replace/rollback), so caches revalidate against its version
+    res.setHeader("ETag", `W/"${song._id}-v${song.audioVersion || 1}-${resolution}"`);
+    res.setHeader("Cache-Control", `${canView(song, null) ? "public" : "private"}, no-cache`);
+    if (req.fresh) return res.status(304).end();
+
+    const peaks = resamplePeaks(waveform.peaks, resolution);
+    res.json({ songId: waveform.songId, resolution: peaks.length, peaks });
+  } catch (err) {
+    console.error("Waveform error:", err);
+    res.status(500).json({ error: "Failed to load waveform" });
+  }
+});
+
+/* ──────────────────────────────── LYRICS ──────────────────────────────── */
+
+// 📝 Lyrics: plain text + time-synced lines parsed from LRC
+router.get("/:id/lyrics", optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid song id" });
+
+    const song = await Song.findById(req.params.id).select("title lyrics syncedLyrics visibility releaseAt uploadedBy");
+    if (!song || !canView(song, req.user)) return res.status(404).json({ error: "Song not found" });
+    if (!song.lyrics && !song.syncedLyrics) return res.status(404).json({ error: "This song has no lyrics" });
+
+    const { lines } = parseLrc(song.syncedLyrics);
+    res.json({ songId: song._id, title: song.title, text: song.lyrics, synced: lines, hasSynced: lines.length > 0 });
+  } catch (err) {
+    console.error("Get lyrics error:", err);
+    res.status(500).json({ error: "Failed to fetch lyrics" });
+  }
+});
+
+// ✏️ Set lyrics ({ text, lrc }; both empty clears them)
+router.put("/:id/lyrics", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid song id" });
+
+    const { text = "", lrc = "" } = req.body || {};
+    if (typeof text !== "string" || typeof lrc !== "string") return res.status(400).json({ error: "text and lrc must be strings" });
+    if (text.length > MAX_LYRICS_LENGTH || lrc.length > MAX_LYRICS_LENGTH) return res.status(413).json({ error: "Lyrics too long" });
+
+    const song = await Song.findById(req.params.id);
+    if (!song) return res.status(404).json({ error: "Song not found" });
+
+    const user = await User.findById(req.user.id);
+    if (song.uploadedBy.toString() !== user._id.toString() && !user.roles.includes("admin")) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    const synced = lrc.trim() ? parseLrc(lrc).lines : [];
+    if (lrc.trim() && !synced.length) return res.status(400).json({ error: "lrc has no timestamped lines" });
+
+    song.syncedLyrics = lrc.trim();
+    song.lyrics = text.trim() || lrcToText(lrc);
+    await song.save();
+
+    res.json({ message: "Lyrics updated", songId: song._id, text: song.lyrics, synced, hasSynced: synced.length > 0 });
+  } catch (err) {
+    console.error("Update lyrics error:", err);
+    res.status(500).json({ error: "Failed to update lyrics" });
+  }
+});
+
+// 🏷️ Add tags (uploader or admin) — body: { tags: ["chill", "late night"] }
+router.post("/:id/tags", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid song id" });
+
+    const { tags } = req.body || {};
+    if (!Array.isArray(tags) || !tags.length) return res.status(400).json({ error: "tags must be a non-empty array" });
+    const normalized = tags.map(normalizeTag);
+    const bad = tags.find((_, i) => !normalized[i]);
+    if (bad !== undefined) return res.status(400).json({ error: `Invalid tag: ${bad}` });
+
+    const song = await Song.findById(req.params.id);
+    if (!song) return res.status(404).json({ error: "Song not found" });
+
+    const user = await User.findById(req.user.id);
+    if (song.uploadedBy.toString() !== user._id.toString() && !user.roles.includes("admin")) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    const merged = [...new Set([...song.tags, ...normalized])];
+    if (merged.length > MAX_TAGS_PER_SONG) {
+      return res.status(400).json({ error: `A song can have at most ${MAX_TAGS_PER_SONG} tags` });
+    }
+
+    song.tags = merged;
+    await song.save();
+    res.json({ message: "Tags added", songId: song._id, tags: song.tags.map((tag) => ({ tag, kind: tagKind(tag) })) });
+  } catch (err) {
+    console.error("Add tags error:", err);
+    res.status(500).json({ error: "Failed to add tags" });
+  }
+});
+
+// 🏷️ Remove a tag (uploader or admin)
+router.delete("/:id/tags/:tag", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid song id" });
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) return res.status(400).json({ error: "Invalid tag" });
+
+    const song = await Song.findById(req.params.id);
+    if (!song) return res.status(404).json({ error: "Song not found" });
+
+    const user = await User.findById(req.user.id);
+    if (song.uploadedBy.toString() !== user._id.toString() && !user.roles.includes("admin")) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    song.tags = song.tags.filter((t) => t !== tag);
+    await song.save();
+    res.json({ message: "Tag removed", songId: song._id, tags: song.tags.map((t) => ({ tag: t, kind: tagKind(t) })) });
+  } catch (err) {
+    console.error("Remove tag error:", err);
+    res.status(500).json({ error: "Failed to remove tag" });
+  }
+});
+
+/* ──────────────────────────────── TRASH ──────────────────────────────── */
+
+// 🗑️ My trashed songs, most recently deleted first (cursor-paginated)
+router.get("/trash", authMiddleware, async (req, res) => {
+  try {
+    const { limit, cursor } = pageParams(req.query);
+    const { items, pageInfo } = await paginate(
+      Song.find({ uploadedBy: req.user.id, deletedAt: { $ne: null } }).select(HIDDEN_SONG_FIELDS),
+      { sort: { deletedAt: -1, _id: -1 }, limit, cursor }
+    );
+
+    const songs = items.map((song) => ({ ...song.toJSON(), purgeAt: purgeAt(song.deletedAt) }));
+    res.json({ songs, pageInfo });
+  } catch (err) {
+    if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+    console.error("Song trash error:", err);
+    res.status(500).json({ error: "Failed to fetch trash" });
+  }
+});
+
+// ♻️ Restore a trashed song (uploader or admin)
+router.post("/:id/restore", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid song id" });
+
+    const song = await Song.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!song) return res.status(404).json({ error: "Song not found in trash" });
+
+    const user = await User.findById(req.user.id);
+    if (song.uploadedBy.toString() !== user._id.toString() && !user.roles.includes("admin")) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    await song.restoreFromTrash();
+    res.json({ message: "Song restored", song });
+  } catch (err) {
+    console.error("Restore song error:", err);
+    res.status(500).json({ error: "Failed to restore song" });
+  }
+});
+
+/* ──────────────────────────────── AUDIO VERSIONS ──────────────────────────────── */
+
+// Archived version as shown to clients (storage location stays private)
+const versionInfo = (v) => ({
+  version: v.version,
+  size: v.size,
+  duration: v.duration,
+  uploadedAt: v.uploadedAt,
+  archivedAt: v.archivedAt,
+  archivedBy: v.archivedBy,
+});
+
+// Newest first
+const versionHistory = (song) => song.audioVersions.map(versionInfo).reverse();
+
+const currentAudioInfo = (song) => ({
+  version: song.audioVersion,
+  size: song.size,
+  duration: song.duration,
+  uploadedAt: song.audioUpdatedAt || song.createdAt,
+});
+
+// 🔁 Replace the audio file (uploader or admin) — same song id, stats, likes and playlists
+router.put(
+  "/:id/audio",
+  authMiddleware,
+  (req, res, next) => {
+    upload.single("song")(req, res, (err) => {
+      if (err) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({ error: "File too large. Max size is 20MB" });
+        }
+        return res.status(400).json({ error: err.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid song id" });
+      if (!req.file) return res.status(400).json({ error: "No song file uploaded" });
+      if (!req.file.mimetype.startsWith("audio/")) return res.status(400).json({ error: "Only audio files are allowed" });
+
+      const song = await Song.findById(req.params.id);
+      if (!song) return res.status(404).json({ error: "Song not found" });
+
+      const user = await User.findById(req.user.id);
+      if (song.uploadedBy.toString() !== user._id.toString() && !user.roles.includes("admin")) {
+        return res.status(403).json({ error: "Not authorized" });
+      }
+
+      const updated = await replaceSongAudio(song, req.file, user._id);
+      res.json({
+        message: "Audio replaced",
+        song: await Song.findById(updated._id).select(HIDDEN_SONG_FIELDS),
+        audio: currentAudioInfo(updated),
+        versions: versionHistory(updated),
+      });
+    } catch (err) {
+      if (err instanceof DuplicateSongError) {
+        return res.status(409).json({ error: err.message, duplicateOf: err.duplicateOf });
+      }
+      if (err instanceof AudioVersionConflictError) return res.status(409).json({ error: err.message });
+      console.error("Replace audio error:", err);
+      res.status(500).json({ error: "Failed to replace audio" });
+    }
+  }
+);
+
+// 🗂️ Audio version history (uploader or admin)
+router.get("/:id/audio/versions", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid song id" });
+
+    const song = await Song.findById(req.params.id).select("uploadedBy audioVersion audioUpdatedAt audioVersions size duration createdAt");
+    if (!song) return res.status(404).json({ error: "Song not found" });
+
+    const user = await User.findById(req.user.id);
+    if (song.uploadedBy.toString() !== user._id.toString() && !user.roles.includes("admin")) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+
+    res.json({ songId: song._id, current: currentAudioInfo(song), versions: versionHistory(song) });
+  } catch (err) {
+    console.error("Audio versions error:", err);
+    res.status(500).json({ error: "Failed to fetch audio versions" });
+  }
+});
+
+// ⏪ Roll back to an archived audio version (admin) — body: { version }
+router.post("/:id/audio/rollback", authMiddleware, requireRole("admin"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid song id" });
+    const version = Number(req.body?.version);
+    if (!Number.isInteger(version) || version < 1) return res.status(400).json({ error: "version must be a positive integer" });
+
+    const song = await Song.findById(req.params.id);
+    if (!song) return res.status(404).json({ error: "Song not found" });
+    if (song.audioVersion === version) return res.status(400).json({ error: "That version is already current" });
+
+    const updated = await rollbackSongAudio(song, version, req.user.id);
+    if (!updated) return res.status(404).json({ error: "Version not found" });
+
+    res.json({
+      message: `Rolled back to version ${version}`,
+      song: await Song.findById(updated._id).select(HIDDEN_SONG_FIELDS),
+      audio: currentAudioInfo(updated),
+      versions: versionHistory(updated),
+    });
+  } catch (err) {
+    if (err instanceof DuplicateSongError) {
+      return res.status(409).json({ error: err.message, duplicateOf: err.duplicateOf });
+    }
+    if (err instanceof AudioVersionConflictError) return res.status(409).json({ error: err.message });
+    console.error("Audio rollback error:", err);
+    res.status(500).json({ error: "Failed to roll back audio" });
+  }
+});
+
 // ▶️ Track a play (increments counter + records listening event)
 router.post("/:id/play", authMiddleware, async (req, res) => {
   try {
     const song = await Song.findById(req.params.id);
-    if (!song) return res.status(404).json({ error: "Song not found" });
+    if (!song || !canView(song, req.user)) return res.status(404).json({ error: "Song not found" });
 
     const durationSec = Math.max(0, Math.min(parseFloat(req.body?.duration) || 0, song.duration || 0));
 
@@ -185,7 +926,7 @@ router.post("/:id/play", authMiddleware, async (req, res) => {
 
 /* ──────────────────────────────── ADMIN ACTIONS ──────────────────────────────── */
 
-// ❌ Delete
+// ❌ Delete (moves to trash)
 router.delete("/:id", authMiddleware, async (req, res) => {
   try {
     const song = await Song.findById(req.params.id);
@@ -198,14 +939,9 @@ router.delete("/:id", authMiddleware, async (req, res) => {
       return res.status(403).json({ error: "Not authorized" });
     }
 
-    try {
-      await cloudinary.uploader.destroy(song.publicId, { resource_type: "video" });
-    } catch (err) {
-      console.warn("Cloudinary delete failed:", err.message);
-    }
-
-    await song.deleteOne();
-    res.json({ message: "Song deleted successfully" });
+    // soft delete: assets stay until the purge job (see services/trash.js)
+    await song.moveToTrash(user._id);
+    res.json({ message: "Song moved to trash", purgeAt: purgeAt(song.deletedAt) });
   } catch (err) {
     res.status(500).json({ error: "Failed to delete song" });
   }
@@ -217,6 +953,29 @@ router.patch("/:id", authMiddleware, async (req, res) => {
     const update = { ...req.body };
     delete update.url;
     delete update.publicId;
+    delete update.coverPublicId;
+    delete update.size;
+    delete update.contentHash;
+    delete update.duplicateHash;
+    delete update.audioVersion; // audio goes through PUT /:id/audio
+    delete update.audioVersions;
+    delete update.audioUpdatedAt;
+    delete update.deletedAt; // trash goes through DELETE /:id and POST /:id/restore
+    delete update.deletedBy;
+    delete update.lyrics; // lyrics go through PUT /:id/lyrics
+    delete update.syncedLyrics;
+    delete update.artistId; // entity links follow the artist/album strings
+    delete update.albumId;
+    delete update.tags; // tags go through POST/DELETE /:id/tags
+    delete update.uploaderName; // search fields are maintained server-side
+    delete update.searchPrefixes;
+    delete update.searchGrams;
+    if ("visibility" in update && !isValidVisibility(update.visibility)) {
+      return res.status(400).json({ error: "visibility must be public, unlisted or private" });
+    }
+    if ("releaseAt" in update && !isValidReleaseAt(update.releaseAt)) {
+      return res.status(400).json({ error: "releaseAt must be an ISO date (empty to release now)" });
+    }
 
     const song = await Song.findById(req.params.id);
     if (!song) return res.status(404).json({ error: "Song not found" });
@@ -227,6 +986,7 @@ router.patch("/:id", authMiddleware, async (req, res) => {
     }
 
     Object.assign(song, update);
+    if (["artist", "album", "year"].some((f) => f in update)) await linkSongEntities(song);
     await song.save();
     res.json({ message: "Song updated successfully", song });
   } catch (err) {
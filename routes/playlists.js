@@ -1,105 +1,629 @@
 import express from "express";
-import authMiddleware from "../middleware/auth.js";
+import mongoose from "mongoose";
+import authMiddleware, { optionalAuth } from "../middleware/auth.js";
 import Songs from "../models/Song.js";
 import Playlist from "../models/playlist.js";
+import User from "../models/User.js";
+import PlaylistFollow from "../models/PlaylistFollow.js";
+import { pageParams, paginate, PaginationError } from "../utils/pagination.js";
+import { purgeAt } from "../utils/softDelete.js";
+import { HIDDEN_SONG_FIELDS } from "../utils/songFields.js";
+import { listedFilter, viewableFilter, canView } from "../utils/songAccess.js";
+import {
+   editPlaylistTracks,
+   insertEntries,
+   removeEntries,
+   moveEntry,
+   reorderEntries,
+   PlaylistEditError,
+   PlaylistVersionConflictError,
+   MAX_TRACKS_PER_EDIT,
+} from "../services/playlistTracks.js";
+import { fillSmartTracks, snapshotSmartPlaylist } from "../services/smartPlaylists.js";
+import { parseSmartRules, InvalidRulesError } from "../utils/smartRules.js";
 
 const router = express.Router();
 
-// ✅ Create playlist
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_COLLABORATORS = 50;
+const COLLABORATOR_ROLES = ["viewer", "editor"];
+const PLAYLIST_VISIBILITIES = ["private", "link", "public"];
+const BROWSE_SORTS = {
+   popular: { followersCount: -1, _id: -1 },
+   recent: { createdAt: -1, _id: -1 },
+};
+
+// Populate each entry's song; deleted songs and other users' private ones come back as null
+const trackSongs = (user, select) => ({ path: "tracks.songId", select, match: viewableFilter(user) });
+
+// Smart playlists among `playlists` (listings): their last evaluated songs, populated like static tracks.
+// Rules are only re-evaluated when a playlist is opened (GET /:id), so a page costs no evaluations.
+async function resolveSmartTracks(playlists, user, select) {
+   const smart = playlists.filter((p) => p.type === "smart");
+   for (const playlist of smart) await fillSmartTracks(playlist, { cachedOnly: true });
+   if (smart.length) await Playlist.populate(smart, trackSongs(user, select));
+}
+
+// Playlist JSON plus computed totals (unavailable songs count as entries but add no duration)
+const withTotals = (playlist) => ({
+   ...playlist.toJSON(),
+   trackCount: playlist.tracks.length,
+   totalDuration: playlist.tracks.reduce((sum, t) => sum + (t.songId?.duration || 0), 0),
+});
+
+// ✅ Create playlist (type "smart" takes `rules`, see utils/smartRules.js)
 router.post("/", authMiddleware, async (req, res) => {
    try {
-      const { name, description, coverUrl } = req.body;
+      const { name, description, coverUrl, type = "static" } = req.body;
       if (!name) return res.status(400).json({ error: "Name required" });
+      if (type !== "static" && type !== "smart") return res.status(400).json({ error: "type must be static or smart" });
 
       const playlist = await Playlist.create({
          userId: req.user.id,
          name,
          description,
          coverUrl,
+         type,
          tracks: [], // ✅ match schema
+         rules: type === "smart" ? parseSmartRules(req.body.rules) : undefined,
       });
 
       res.status(201).json({ message: "Playlist created", playlist });
    } catch (err) {
+      if (err instanceof InvalidRulesError) return res.status(400).json({ error: err.message });
       console.error("Create playlist error:", err);
       res.status(500).json({ error: "Server error" });
    }
 });
 
-// ✅ Add song to playlist
+const ROLES_ALLOWED = {
+   edit: ["owner", "editor"],
+   owner: ["owner"],
+};
+
+// Followers of a link-shared playlist keep seeing it without the token, until the owner rotates it
+async function followsLink(playlist, user) {
+   if (playlist.visibility !== "link" || !user) return false;
+   return Boolean(await PlaylistFollow.exists({ userId: user.id, playlistId: playlist._id }));
+}
+
+// Playlist :id if the caller may `access` it (view/edit/owner); otherwise answers 404/403 and returns null.
+// Viewing also works without a role for public playlists and link-shared ones (with ?token=, or followed).
+async function findPlaylist(req, res, access) {
+   if (!mongoose.isValidObjectId(req.params.id)) {
+      res.status(400).json({ error: "Invalid playlist id" });
+      return null;
+   }
+   const playlist = await Playlist.findById(req.params.id);
+   const role = playlist && req.user ? playlist.roleOf(req.user.id) : null;
+   if (!playlist || (!role && !playlist.isSharedWith(req.query.token) && !(await followsLink(playlist, req.user)))) {
+      res.status(404).json({ error: "Playlist not found" });
+      return null;
+   }
+   if (access !== "view" && !ROLES_ALLOWED[access].includes(role)) {
+      res.status(403).json({ error: "Not authorized" });
+      return null;
+   }
+   return playlist;
+}
+
+// Expected playlist version from the body (optional; when sent, a stale one answers 409)
+function expectedVersion(body) {
+   if (body.version === undefined) return undefined;
+   const version = Number(body.version);
+   if (!Number.isInteger(version) || version < 0) throw new PlaylistEditError("version must be a non-negative integer");
+   return version;
+}
+
+// Song ids from { songId } or { songIds: [...] }
+function songIdsFrom(body) {
+   const ids = body.songIds ?? (body.songId !== undefined ? [body.songId] : undefined);
+   if (!Array.isArray(ids) || !ids.length) throw new PlaylistEditError("songId or songIds required");
+   if (ids.length > MAX_TRACKS_PER_EDIT) throw new PlaylistEditError(`At most ${MAX_TRACKS_PER_EDIT} songs per request`);
+   const bad = ids.find((id) => !mongoose.isValidObjectId(id));
+   if (bad !== undefined) throw new PlaylistEditError(`Invalid song id: ${bad}`);
+   return ids.map(String);
+}
+
+// Positions from { position } or { positions: [...] }
+function positionsFrom(body) {
+   const positions = body.positions ?? [body.position];
+   if (!Array.isArray(positions) || !positions.length) throw new PlaylistEditError("position or positions required");
+   return positions.map(Number);
+}
+
+// ✅ Add songs: { songId } | { songIds: [...] } | { albumId }, optional position (default: end) and version.
+// The same song may appear more than once.
 router.post("/:id/add", authMiddleware, async (req, res) => {
    try {
-      const { songId } = req.body;
+      const { albumId, position } = req.body;
+      const version = expectedVersion(req.body);
 
-      const playlist = await Playlist.findOne({
-         _id: req.params.id,
-         userId: req.user.id, // ✅ correct field
-      });
-      if (!playlist) return res.status(404).json({ error: "Playlist not found" });
+      const playlist = await findPlaylist(req, res, "edit");
+      if (!playlist) return;
 
-      const song = await Songs.findById(songId);
-      if (!song) return res.status(404).json({ error: "Song not found" });
-
-      // ✅ use playlist.tracks instead of songs
-      if (!playlist.tracks.includes(songId)) {
-         playlist.tracks.push(songId);
-         await playlist.save();
+      let songIds;
+      if (albumId !== undefined) {
+         if (!mongoose.isValidObjectId(albumId)) return res.status(400).json({ error: "Invalid album id" });
+         const albumTracks = await Songs.find({ albumId, ...listedFilter() })
+            .sort({ trackNumber: 1, createdAt: 1 })
+            .limit(MAX_TRACKS_PER_EDIT)
+            .select("_id");
+         if (!albumTracks.length) return res.status(404).json({ error: "Album not found or has no tracks" });
+         songIds = albumTracks.map((s) => s._id);
+      } else {
+         const requested = songIdsFrom(req.body);
+         const songs = await Songs.find({ _id: { $in: requested } }).select("visibility releaseAt uploadedBy");
+         const found = new Set(songs.filter((s) => canView(s, req.user)).map((s) => s._id.toString()));
+         const missing = [...new Set(requested.filter((id) => !found.has(id)))];
+         if (missing.length) return res.status(404).json({ error: "Song not found", missing });
+         songIds = requested;
       }
 
-      res.json({ message: "Song added to playlist", playlist });
+      const addedAt = new Date();
+      const entries = songIds.map((songId) => ({ songId, addedAt, addedBy: req.user.id }));
+      const updated = await editPlaylistTracks(playlist, version, (tracks) =>
+         insertEntries(tracks, entries, position === undefined ? tracks.length : Number(position))
+      );
+      const message = songIds.length > 1 ? `${songIds.length} songs added to playlist` : "Song added to playlist";
+      res.json({ message, playlist: updated });
    } catch (err) {
+      if (err instanceof PlaylistVersionConflictError) return res.status(409).json({ error: err.message, version: err.version });
+      if (err instanceof PlaylistEditError) return res.status(400).json({ error: err.message });
       console.error("Add song error:", err);
       res.status(500).json({ error: "Server error" });
    }
 });
 
-// ✅ Remove song from playlist
+// ✅ Remove songs: { songId } | { songIds: [...] } drop every entry of those songs,
+// { position } | { positions: [...] } drop single entries; optional version
 router.post("/:id/remove", authMiddleware, async (req, res) => {
    try {
-      const { songId } = req.body;
-
-      const playlist = await Playlist.findOne({
-         _id: req.params.id,
-         userId: req.user.id,
-      });
-      if (!playlist) return res.status(404).json({ error: "Playlist not found" });
+      const version = expectedVersion(req.body);
+      const byPosition = req.body.position !== undefined || req.body.positions !== undefined;
+      const edit = byPosition ? { positions: positionsFrom(req.body) } : { songIds: songIdsFrom(req.body) };
 
-      playlist.tracks = playlist.tracks.filter(
-         (track) => track.toString() !== songId
-      );
-      await playlist.save();
+      const playlist = await findPlaylist(req, res, "edit");
+      if (!playlist) return;
 
-      res.json({ message: "Song removed", playlist });
+      const updated = await editPlaylistTracks(playlist, version, (tracks) => removeEntries(tracks, edit));
+      res.json({ message: "Songs removed", playlist: updated });
    } catch (err) {
+      if (err instanceof PlaylistVersionConflictError) return res.status(409).json({ error: err.message, version: err.version });
+      if (err instanceof PlaylistEditError) return res.status(400).json({ error: err.message });
       console.error("Remove song error:", err);
       res.status(500).json({ error: "Server error" });
    }
 });
 
-// ✅ Get all playlists for current user
+// ↕️ Move one entry: { from, to, version? } (positions are 0-based)
+router.post("/:id/move", authMiddleware, async (req, res) => {
+   try {
+      const version = expectedVersion(req.body);
+      const { from, to } = req.body;
+
+      const playlist = await findPlaylist(req, res, "edit");
+      if (!playlist) return;
+
+      const updated = await editPlaylistTracks(playlist, version, (tracks) => moveEntry(tracks, Number(from), Number(to)));
+      res.json({ message: "Track moved", playlist: updated });
+   } catch (err) {
+      if (err instanceof PlaylistVersionConflictError) return res.status(409).json({ error: err.message, version: err.version });
+      if (err instanceof PlaylistEditError) return res.status(400).json({ error: err.message });
+      console.error("Move track error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// ↕️ Reorder everything at once: { order: [current positions in their new order], version? }
+router.post("/:id/reorder", authMiddleware, async (req, res) => {
+   try {
+      const version = expectedVersion(req.body);
+      const { order } = req.body;
+
+      const playlist = await findPlaylist(req, res, "edit");
+      if (!playlist) return;
+
+      const updated = await editPlaylistTracks(playlist, version, (tracks) =>
+         reorderEntries(tracks, Array.isArray(order) ? order.map(Number) : order)
+      );
+      res.json({ message: "Playlist reordered", playlist: updated });
+   } catch (err) {
+      if (err instanceof PlaylistVersionConflictError) return res.status(409).json({ error: err.message, version: err.version });
+      if (err instanceof PlaylistEditError) return res.status(400).json({ error: err.message });
+      console.error("Reorder playlist error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// ✅ Get current user's playlists — owned and shared with them — newest first
+// (cursor-paginated, slim track info + totals, each marked with the caller's role)
 router.get("/mine", authMiddleware, async (req, res) => {
    try {
-      const playlists = await Playlist.find({ userId: req.user.id }).populate(
-         "tracks"
+      const { limit, cursor } = pageParams(req.query);
+      const { items, pageInfo } = await paginate(
+         Playlist.find({
+            $or: [
+               { userId: req.user.id },
+               { collaborators: { $elemMatch: { userId: req.user.id, status: "accepted" } } },
+            ],
+         }).populate(trackSongs(req.user, "title artist cover duration")),
+         { sort: { createdAt: -1, _id: -1 }, limit, cursor }
       );
-      res.json({ playlists });
+      await resolveSmartTracks(items, req.user, "title artist cover duration");
+      const playlists = items.map((p) => ({ ...withTotals(p), role: p.roleOf(req.user.id) }));
+      res.json({ playlists, pageInfo });
    } catch (err) {
+      if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
       console.error("Get playlists error:", err);
       res.status(500).json({ error: "Server error" });
    }
 });
 
-// ✅ Delete playlist
+// ✏️ Edit name / description / cover / visibility (private | link | public), and rules of smart playlists
+router.patch("/:id", authMiddleware, async (req, res) => {
+   try {
+      const update = {};
+      for (const field of ["name", "description", "coverUrl", "visibility"]) {
+         if (req.body[field] === undefined) continue;
+         if (typeof req.body[field] !== "string") return res.status(400).json({ error: `${field} must be a string` });
+         update[field] = req.body[field].trim();
+      }
+      if (req.body.rules !== undefined) update.rules = parseSmartRules(req.body.rules);
+      if (!Object.keys(update).length) return res.status(400).json({ error: "Nothing to update" });
+      if (update.name === "") return res.status(400).json({ error: "Name required" });
+      if (update.name?.length > MAX_NAME_LENGTH) {
+         return res.status(400).json({ error: `Name must be at most ${MAX_NAME_LENGTH} characters` });
+      }
+      if (update.description?.length > MAX_DESCRIPTION_LENGTH) {
+         return res.status(400).json({ error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` });
+      }
+      if (update.coverUrl && !/^https?:\/\//i.test(update.coverUrl)) {
+         return res.status(400).json({ error: "coverUrl must be an http(s) URL" });
+      }
+      if (update.visibility !== undefined && !PLAYLIST_VISIBILITIES.includes(update.visibility)) {
+         return res.status(400).json({ error: `visibility must be one of: ${PLAYLIST_VISIBILITIES.join(", ")}` });
+      }
+
+      const playlist = await findPlaylist(req, res, "owner");
+      if (!playlist) return;
+      if (update.rules && playlist.type !== "smart") return res.status(400).json({ error: "Only smart playlists have rules" });
+
+      // followers can't see a private playlist any more, so they're dropped like on a share token rotation
+      const revokeFollowers = update.visibility === "private" && playlist.visibility !== "private";
+      Object.assign(playlist, update);
+      if (update.rules) playlist.smartCache = undefined; // re-evaluated on the next read
+      // an empty cover goes back to the default artwork
+      if (update.coverUrl === "") playlist.coverUrl = undefined;
+      if (playlist.visibility === "link" && !playlist.shareToken) playlist.rotateShareToken();
+      if (revokeFollowers) playlist.followersCount = 0;
+      await playlist.save();
+      if (revokeFollowers) await PlaylistFollow.deleteMany({ playlistId: playlist._id });
+      res.json({ message: "Playlist updated", playlist: { ...playlist.toJSON(), shareToken: playlist.shareToken } });
+   } catch (err) {
+      if (err instanceof InvalidRulesError) return res.status(400).json({ error: err.message });
+      console.error("Update playlist error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// ✅ Delete playlist (moves it to the trash)
 router.delete("/:id", authMiddleware, async (req, res) => {
    try {
-      const playlist = await Playlist.findOneAndDelete({
+      const playlist = await findPlaylist(req, res, "owner");
+      if (!playlist) return;
+
+      await playlist.moveToTrash(req.user.id);
+      res.json({ message: "Playlist moved to trash", purgeAt: purgeAt(playlist.deletedAt) });
+   } catch (err) {
+      console.error("Delete playlist error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// ✅ Trashed playlists, most recently deleted first (cursor-paginated)
+router.get("/trash", authMiddleware, async (req, res) => {
+   try {
+      const { limit, cursor } = pageParams(req.query);
+      const { items, pageInfo } = await paginate(
+         Playlist.find({ userId: req.user.id, deletedAt: { $ne: null } }),
+         { sort: { deletedAt: -1, _id: -1 }, limit, cursor }
+      );
+
+      const playlists = items.map((p) => ({ ...p.toJSON(), purgeAt: purgeAt(p.deletedAt) }));
+      res.json({ playlists, pageInfo });
+   } catch (err) {
+      if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+      console.error("Playlist trash error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// ✅ Restore a trashed playlist
+router.post("/:id/restore", authMiddleware, async (req, res) => {
+   try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid playlist id" });
+      const playlist = await Playlist.findOne({
          _id: req.params.id,
          userId: req.user.id,
+         deletedAt: { $ne: null },
       });
-      if (!playlist) return res.status(404).json({ error: "Playlist not found" });
-      res.json({ message: "Playlist deleted" });
+      if (!playlist) return res.status(404).json({ error: "Playlist not found in trash" });
+
+      await playlist.restoreFromTrash();
+      res.json({ message: "Playlist restored", playlist });
    } catch (err) {
-      console.error("Delete playlist error:", err);
+      console.error("Restore playlist error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// 📸 Turn a smart playlist into a static one with its current songs (owner)
+router.post("/:id/snapshot", authMiddleware, async (req, res) => {
+   try {
+      const playlist = await findPlaylist(req, res, "owner");
+      if (!playlist) return;
+      if (playlist.type !== "smart") return res.status(400).json({ error: "Only smart playlists can be snapshotted" });
+
+      const updated = await snapshotSmartPlaylist(playlist, req.user.id);
+      if (!updated) return res.status(409).json({ error: "The playlist was changed by another request" });
+      res.json({ message: "Smart playlist converted to a static playlist", playlist: updated });
+   } catch (err) {
+      console.error("Snapshot playlist error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+/* ──────────────────────────────── SHARING & FOLLOWING ──────────────────────────────── */
+
+// 🔗 New share link token (owner); the old link stops working, and link-shared playlists lose their
+// followers too (following is what kept them in without the token)
+router.post("/:id/share-token", authMiddleware, async (req, res) => {
+   try {
+      const playlist = await findPlaylist(req, res, "owner");
+      if (!playlist) return;
+
+      const shareToken = playlist.rotateShareToken();
+      const revokeFollowers = playlist.visibility === "link";
+      if (revokeFollowers) playlist.followersCount = 0;
+      await playlist.save();
+      if (revokeFollowers) await PlaylistFollow.deleteMany({ playlistId: playlist._id });
+      res.json({ shareToken, visibility: playlist.visibility, followersCount: playlist.followersCount });
+   } catch (err) {
+      console.error("Share token error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// 🌍 Browse public playlists (?sort=popular|recent, cursor-paginated)
+router.get("/browse", async (req, res) => {
+   try {
+      const sortName = req.query.sort ?? "popular";
+      if (!Object.hasOwn(BROWSE_SORTS, sortName)) {
+         return res.status(400).json({ error: `sort must be one of: ${Object.keys(BROWSE_SORTS).join(", ")}` });
+      }
+      const { limit, cursor } = pageParams(req.query);
+
+      const { items, pageInfo } = await paginate(
+         Playlist.find({ visibility: "public" })
+            .select("-collaborators")
+            .populate("userId", "username displayName avatarUrl")
+            .populate(trackSongs(null, "title artist cover duration")),
+         { sort: BROWSE_SORTS[sortName], limit, cursor }
+      );
+      await resolveSmartTracks(items, null, "title artist cover duration");
+      res.json({ playlists: items.map(withTotals), pageInfo });
+   } catch (err) {
+      if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+      console.error("Browse playlists error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// 📚 Playlists the current user follows, most recently followed first (cursor-paginated).
+// Ones made private or deleted since are left out; link-shared ones stay open to followers (see findPlaylist).
+router.get("/followed", authMiddleware, async (req, res) => {
+   try {
+      const { limit, cursor } = pageParams(req.query);
+      const { items: follows, pageInfo } = await paginate(
+         PlaylistFollow.find({ userId: req.user.id }).populate({
+            path: "playlistId",
+            match: { visibility: { $ne: "private" } },
+            select: "-collaborators",
+            populate: [
+               { path: "userId", select: "username displayName avatarUrl" },
+               trackSongs(req.user, "title artist cover duration"),
+            ],
+         }),
+         { sort: { createdAt: -1, _id: -1 }, limit, cursor }
+      );
+
+      const followed = follows.filter((f) => f.playlistId);
+      await resolveSmartTracks(followed.map((f) => f.playlistId), req.user, "title artist cover duration");
+      const playlists = followed.map((f) => ({ ...withTotals(f.playlistId), followedAt: f.createdAt }));
+      res.json({ playlists, pageInfo });
+   } catch (err) {
+      if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+      console.error("Followed playlists error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// ⭐ Follow (save to library) a public playlist, or a link-shared one with ?token=
+router.post("/:id/follow", authMiddleware, async (req, res) => {
+   try {
+      const playlist = await findPlaylist(req, res, "view");
+      if (!playlist) return;
+      if (playlist.roleOf(req.user.id)) return res.status(400).json({ error: "This playlist is already in your library" });
+
+      // upsert so two concurrent follows can't both count
+      let { followersCount } = playlist;
+      const follow = { userId: req.user.id, playlistId: playlist._id };
+      const { upsertedCount } = await PlaylistFollow.updateOne(follow, { $setOnInsert: follow }, { upsert: true });
+      if (upsertedCount === 1) {
+         const updated = await Playlist.findByIdAndUpdate(playlist._id, { $inc: { followersCount: 1 } }, { new: true });
+         followersCount = updated.followersCount;
+      }
+
+      res.json({ following: true, followersCount });
+   } catch (err) {
+      console.error("Follow playlist error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// ⭐ Unfollow
+router.delete("/:id/follow", authMiddleware, async (req, res) => {
+   try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid playlist id" });
+
+      const deleted = await PlaylistFollow.findOneAndDelete({ userId: req.user.id, playlistId: req.params.id });
+      const playlist = deleted
+         ? await Playlist.findByIdAndUpdate(req.params.id, { $inc: { followersCount: -1 } }, { new: true })
+         : await Playlist.findById(req.params.id);
+
+      res.json({ following: false, followersCount: playlist?.followersCount ?? 0 });
+   } catch (err) {
+      console.error("Unfollow playlist error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+/* ──────────────────────────────── COLLABORATORS ──────────────────────────────── */
+
+// 📨 Pending invites for the current user
+router.get("/invites", authMiddleware, async (req, res) => {
+   try {
+      const playlists = await Playlist.find({
+         collaborators: { $elemMatch: { userId: req.user.id, status: "pending" } },
+      })
+         .select("name coverUrl userId collaborators")
+         .populate("userId", "username displayName");
+
+      const invites = playlists.map((p) => {
+         const invite = p.collaborators.find((c) => String(c.userId) === req.user.id);
+         return {
+            playlistId: p._id,
+            name: p.name,
+            coverUrl: p.coverUrl,
+            owner: p.userId,
+            role: invite.role,
+            invitedAt: invite.invitedAt,
+         };
+      });
+      res.json({ invites });
+   } catch (err) {
+      console.error("List invites error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// ➕ Invite a collaborator (owner): { username, role: "viewer" | "editor" }; re-inviting changes the role
+router.post("/:id/collaborators", authMiddleware, async (req, res) => {
+   try {
+      const { username, role = "viewer" } = req.body;
+      if (!username || typeof username !== "string") return res.status(400).json({ error: "username required" });
+      if (!COLLABORATOR_ROLES.includes(role)) return res.status(400).json({ error: "role must be viewer or editor" });
+
+      const playlist = await findPlaylist(req, res, "owner");
+      if (!playlist) return;
+
+      const invitee = await User.findOne({ username: username.trim().toLowerCase() }).select("username displayName");
+      if (!invitee) return res.status(404).json({ error: "User not found" });
+      if (invitee._id.equals(playlist.userId)) return res.status(400).json({ error: "You already own this playlist" });
+
+      const existing = playlist.collaborators.find((c) => c.userId.equals(invitee._id));
+      if (existing) existing.role = role;
+      else {
+         if (playlist.collaborators.length >= MAX_COLLABORATORS) {
+            return res.status(400).json({ error: `A playlist can have at most ${MAX_COLLABORATORS} collaborators` });
+         }
+         playlist.collaborators.push({ userId: invitee._id, role });
+      }
+      await playlist.save();
+
+      res.status(existing ? 200 : 201).json({
+         message: existing ? "Collaborator role updated" : "Invite sent",
+         collaborator: { user: invitee, role, status: existing?.status || "pending" },
+      });
+   } catch (err) {
+      console.error("Invite collaborator error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// ✅ Accept / ❌ decline an invite (the invitee)
+router.post("/:id/invite/:answer", authMiddleware, async (req, res) => {
+   try {
+      const { answer } = req.params;
+      if (answer !== "accept" && answer !== "decline") return res.status(404).json({ error: "Not found" });
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid playlist id" });
+
+      const filter = { _id: req.params.id, collaborators: { $elemMatch: { userId: req.user.id, status: "pending" } } };
+      const update =
+         answer === "accept"
+            ? { $set: { "collaborators.$.status": "accepted" } }
+            : { $pull: { collaborators: { userId: req.user.id } } };
+      const playlist = await Playlist.findOneAndUpdate(filter, update, { new: true });
+      if (!playlist) return res.status(404).json({ error: "No pending invite for this playlist" });
+
+      res.json({
+         message: answer === "accept" ? "Invite accepted" : "Invite declined",
+         role: playlist.roleOf(req.user.id),
+      });
+   } catch (err) {
+      console.error("Answer invite error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// ➖ Remove a collaborator (owner), or leave a playlist shared with you (userId = yourself)
+router.delete("/:id/collaborators/:userId", authMiddleware, async (req, res) => {
+   try {
+      const leaving = req.params.userId === req.user.id;
+      const playlist = await findPlaylist(req, res, leaving ? "view" : "owner");
+      if (!playlist) return;
+      if (leaving && playlist.roleOf(req.user.id) === "owner") {
+         return res.status(400).json({ error: "The owner can't leave their own playlist" });
+      }
+
+      const before = playlist.collaborators.length;
+      playlist.collaborators = playlist.collaborators.filter((c) => String(c.userId) !== req.params.userId);
+      if (playlist.collaborators.length === before) return res.status(404).json({ error: "Collaborator not found" });
+      await playlist.save();
+
+      res.json({ message: leaving ? "You left the playlist" : "Collaborator removed" });
+   } catch (err) {
+      console.error("Remove collaborator error:", err);
+      res.status(500).json({ error: "Server error" });
+   }
+});
+
+// 📋 One playlist with its tracks and totals: members always, anyone for public playlists and,
+// with ?token=, link-shared ones (declared last so it doesn't shadow the fixed paths above)
+router.get("/:id", optionalAuth, async (req, res) => {
+   try {
+      const playlist = await findPlaylist(req, res, "view");
+      if (!playlist) return;
+
+      const role = req.user ? playlist.roleOf(req.user.id) : null;
+      const following = Boolean(req.user && (await PlaylistFollow.exists({ userId: req.user.id, playlistId: playlist._id })));
+      // pending invites are the owner's business
+      if (role !== "owner") playlist.collaborators = playlist.collaborators.filter((c) => c.status === "accepted");
+      await fillSmartTracks(playlist);
+      await playlist.populate([
+         trackSongs(req.user, HIDDEN_SONG_FIELDS),
+         { path: "tracks.addedBy", select: "username displayName" },
+         { path: "collaborators.userId", select: "username displayName avatarUrl" },
+         { path: "userId", select: "username displayName avatarUrl" },
+      ]);
+
+      const body = { ...withTotals(playlist), role, following };
+      if (role === "owner") body.shareToken = playlist.shareToken;
+      res.json({ playlist: body });
+   } catch (err) {
+      console.error("Get playlist error:", err);
       res.status(500).json({ error: "Server error" });
    }
 });
@@ -5,6 +5,9 @@ import Song from "../models/Song.js";
 import User from "../models/User.js";
 import Like from "../models/Like.js";
 import authMiddleware from "../middleware/auth.js";
+import { HIDDEN_SONG_FIELDS } from "../utils/songFields.js";
+import { pageParams, paginate, PaginationError } from "../utils/pagination.js";
+import { listedFilter, viewableFilter } from "../utils/songAccess.js";
 
 const router = express.Router();
 
@@ -62,6 +65,7 @@ router.get("/me", authMiddleware, async (req, res) => {
       { $match: { userId } },
       { $lookup: { from: "songs", localField: "songId", foreignField: "_id", as: "song" } },
       { $unwind: { path: "$song", preserveNullAndEmptyArrays: false } },
+      { $match: { "song.deletedAt": null, ...viewableFilter(req.user, "song") } }, // trashed songs and others' private songs stay out of the charts
       {
         $group: {
           _id: "$song.artist",
@@ -78,6 +82,7 @@ router.get("/me", authMiddleware, async (req, res) => {
       { $match: { userId } },
       { $lookup: { from: "songs", localField: "songId", foreignField: "_id", as: "song" } },
       { $unwind: { path: "$song", preserveNullAndEmptyArrays: false } },
+      { $match: { "song.deletedAt": null, ...viewableFilter(req.user, "song") } },
       {
         $group: {
           _id: "$song.genre",
@@ -97,6 +102,7 @@ router.get("/me", authMiddleware, async (req, res) => {
       { $limit: 10 },
       { $lookup: { from: "songs", localField: "_id", foreignField: "_id", as: "song" } },
       { $unwind: { path: "$song", preserveNullAndEmptyArrays: false } },
+      { $match: { "song.deletedAt": null, ...viewableFilter(req.user, "song") } },
       {
         $project: {
           plays: 1,
@@ -113,7 +119,11 @@ router.get("/me", authMiddleware, async (req, res) => {
     const recent = await ListeningEvent.find({ userId })
       .sort({ listenedAt: -1 })
       .limit(20)
-      .populate({ path: "songId", populate: { path: "uploadedBy", select: "username displayName" } });
+      .populate({
+        path: "songId",
+        match: viewableFilter(req.user),
+        populate: { path: "uploadedBy", select: "username displayName" },
+      });
 
     const recentListens = recent.map((e) => ({
       listenedAt: e.listenedAt,
@@ -163,6 +173,32 @@ router.get("/me", authMiddleware, async (req, res) => {
   }
 });
 
+// ───────────────────────────── LISTENING HISTORY ─────────────────────────────
+router.get("/history", authMiddleware, async (req, res) => {
+  try {
+    const { limit, cursor } = pageParams(req.query);
+    const { items: events, pageInfo } = await paginate(
+      ListeningEvent.find({ userId: req.user.id }).populate({
+        path: "songId",
+        select: HIDDEN_SONG_FIELDS,
+        match: viewableFilter(req.user),
+        populate: { path: "uploadedBy", select: "username displayName" },
+      }),
+      { sort: { listenedAt: -1, _id: -1 }, limit, cursor }
+    );
+
+    // songs deleted (or made private) since are dropped from the page, but the cursor still moves past them
+    const history = events
+      .filter((e) => e.songId)
+      .map((e) => ({ id: e._id, listenedAt: e.listenedAt, durationSec: e.durationSec, song: e.songId }));
+    res.json({ history, pageInfo });
+  } catch (err) {
+    if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+    console.error("Stats/history error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // ─────────────────────────── CREATOR DASHBOARD ───────────────────────────
 router.get("/creator", authMiddleware, async (req, res) => {
   try {
@@ -170,7 +206,11 @@ router.get("/creator", authMiddleware, async (req, res) => {
 
     const songs = await Song.find({ uploadedBy: userId })
       .sort({ createdAt: -1 })
-      .select("title artist album cover genre plays likesCount duration createdAt");
+      .select("title artist album cover genre plays likesCount duration visibility releaseAt createdAt");
+
+    // scheduled songs not out yet, soonest first
+    const now = new Date();
+    const pendingReleases = songs.filter((s) => s.releaseAt > now).sort((a, b) => a.releaseAt - b.releaseAt);
 
     const totals = songs.reduce(
       (acc, s) => {
@@ -210,6 +250,7 @@ router.get("/creator", authMiddleware, async (req, res) => {
     res.json({
       totals: { songs: songs.length, plays: totals.plays, likes: totals.likes },
       songs,
+      pendingReleases,
       uploadDaily,
     });
   } catch (err) {
@@ -281,12 +322,12 @@ router.get("/admin", authMiddleware, async (req, res) => {
       });
     }
 
-    // plays leaderboard
-    const topSongs = await Song.find().sort({ plays: -1 }).limit(10).select("title artist cover plays likesCount genre");
+    // plays leaderboard (public songs only, like the rest of the catalog)
+    const topSongs = await Song.find(listedFilter()).sort({ plays: -1 }).limit(10).select("title artist cover plays likesCount genre");
 
     // top genres
     const topGenres = await Song.aggregate([
-      { $match: { genre: { $nin: ["Unknown", "", null] } } },
+      { $match: { genre: { $nin: ["Unknown", "", null] }, ...listedFilter() } },
       { $group: { _id: "$genre", songs: { $sum: 1 }, plays: { $sum: "$plays" } } },
       { $sort: { songs: -1 } },
       { $limit: 10 },
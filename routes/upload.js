@@ -1,12 +1,11 @@
 import express from "express";
 import multer from "multer";
-import { v2 as cloudinary } from "cloudinary";
-import dotenv from "dotenv";
-import authMiddleware from "../middleware/auth.js";
+import authMiddleware, { optionalAuth } from "../middleware/auth.js";
 import Song from "../models/Song.js";
 import User from "../models/User.js";
+import { uploadCover, releaseCover } from "../services/songAssets.js";
+import { canView } from "../utils/songAccess.js";
 
-dotenv.config();
 const router = express.Router();
 
 // ✅ Configure Multer (for image uploads)
@@ -21,26 +20,18 @@ const upload = multer({
   },
 });
 
-// ✅ Cloudinary config
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
 // --- COVER ROUTES (MUST BE FIRST) ---
 
 // POST - Standalone image upload (not tied to a song, if needed)
 router.post("/image", upload.single("file"), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file uploaded" });
-    const result = await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream({ folder: "covers", resource_type: "image" }, (error, result) =>
-        error ? reject(error) : resolve(result)
-      );
-      stream.end(req.file.buffer);
+    const result = await uploadCover({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      contentType: req.file.mimetype,
     });
-    res.json({ url: result.secure_url, publicId: result.public_id });
+    res.json({ url: result.url, publicId: result.key });
   } catch (error) {
     console.error("Image upload error:", error);
     res.status(500).json({ error: error.message || "Image upload failed" });
@@ -48,10 +39,10 @@ router.post("/image", upload.single("file"), async (req, res) => {
 });
 
 // GET - Get a song's cover image
-router.get("/:id/cover", async (req, res) => {
+router.get("/:id/cover", optionalAuth, async (req, res) => {
   try {
     const song = await Song.findById(req.params.id);
-    if (!song) return res.status(404).json({ error: "Song not found" });
+    if (!song || !canView(song, req.user)) return res.status(404).json({ error: "Song not found" });
     if (!song.cover) return res.status(404).json({ error: "This song has no cover image" });
     res.json({ songId: song._id, title: song.title, cover: song.cover });
   } catch (err) {
@@ -71,25 +62,18 @@ router.put("/:id/cover", authMiddleware, upload.single("cover"), async (req, res
       return res.status(403).json({ error: "Not authorized to update this cover" });
     }
     if (!req.file) return res.status(400).json({ error: "No cover image provided" });
-    // Delete previous cover from Cloudinary if exists
-    if (song.cover && song.cover.includes("cloudinary.com")) {
-      try {
-        const oldPublicId = song.cover.split("/").pop().split(".")[0];
-        await cloudinary.uploader.destroy(`covers/${oldPublicId}`, { resource_type: "image" });
-      } catch (err) {
-        console.warn("⚠️ Failed to delete old cover:", err.message);
-      }
-    }
+    // Delete previous cover from storage if exists
+    await releaseCover(song);
     // Upload new cover
-    const uploadResult = await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream({ resource_type: "image", folder: "covers" }, (error, result) =>
-        error ? reject(error) : resolve(result)
-      );
-      stream.end(req.file.buffer);
+    const uploadResult = await uploadCover({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      contentType: req.file.mimetype,
     });
-    song.cover = uploadResult.secure_url;
+    song.cover = uploadResult.url;
+    song.coverPublicId = uploadResult.key;
     await song.save();
-    res.json({ message: "✅ Cover updated successfully", cover: uploadResult.secure_url });
+    res.json({ message: "✅ Cover updated successfully", cover: uploadResult.url });
   } catch (err) {
     console.error("Cover upload error:", err);
     res.status(500).json({ error: "Failed to upload cover" });
@@ -106,16 +90,10 @@ router.delete("/:id/cover", authMiddleware, async (req, res) => {
     if (song.uploadedBy.toString() !== user._id.toString() && !user.roles.includes("admin")) {
       return res.status(403).json({ error: "Not authorized to delete this cover" });
     }
-    // Delete cover from Cloudinary if exists
-    if (song.cover && song.cover.includes("cloudinary.com")) {
-      try {
-        const publicId = song.cover.split("/").pop().split(".")[0];
-        await cloudinary.uploader.destroy(`covers/${publicId}`, { resource_type: "image" });
-      } catch (err) {
-        console.warn("⚠️ Failed to delete Cloudinary cover:", err.message);
-      }
-    }
+    // Delete cover from storage if exists
+    await releaseCover(song);
     song.cover = "";
+    song.coverPublicId = "";
     await song.save();
     res.json({ message: "✅ Cover deleted successfully" });
   } catch (err) {
@@ -0,0 +1,227 @@
+import express from "express";
+import multer from "multer";
+import path from "path";
+import mongoose from "mongoose";
+import UploadSession from "../models/UploadSession.js";
+import UploadChunk from "../models/UploadChunk.js";
+import authMiddleware from "../middleware/auth.js";
+import { createSongFromFile, DuplicateSongError } from "../services/songAssets.js";
+import {
+  appendChunk,
+  writeSessionFile,
+  UploadOffsetError,
+  MissingChunksError,
+  SESSION_TTL_MS,
+} from "../services/uploadSessions.js";
+import { makeTempDir, removeTempDir } from "../utils/tempDir.js";
+import { audioMimeType } from "../utils/audioMetadata.js";
+import { isValidVisibility, isValidReleaseAt } from "../utils/songAccess.js";
+
+// Resumable uploads: create a session, PATCH chunks at `Upload-Offset`, then finalize.
+// After a disconnect, GET the session to learn the offset to resume from.
+const router = express.Router();
+
+const MAX_UPLOAD_BYTES = 200 * 1024 * 1024; // lossless masters
+const CHUNK_SIZE = 4 * 1024 * 1024; // recommended (fits serverless body limits)
+const MAX_CHUNK_BYTES = 8 * 1024 * 1024;
+
+const SONG_FIELDS = ["title", "artist", "album", "genre", "year", "trackNumber", "visibility", "releaseAt"];
+
+const pickSongFields = (body = {}) =>
+  Object.fromEntries(SONG_FIELDS.filter((f) => body[f] !== undefined && body[f] !== "").map((f) => [f, String(body[f]).trim()]));
+
+// Optional cover sent with finalize (multipart)
+const coverUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith("image/")) return cb(new Error("Only image files are allowed"));
+    cb(null, true);
+  },
+});
+
+const sessionView = (s) => ({
+  id: s._id,
+  filename: s.filename,
+  size: s.size,
+  offset: s.offset,
+  status: s.status,
+  songId: s.songId,
+  chunkSize: CHUNK_SIZE,
+  expiresAt: s.expiresAt,
+});
+
+async function findOwnSession(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: "Invalid upload id" });
+    return null;
+  }
+  const session = await UploadSession.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!session) res.status(404).json({ error: "Upload not found or expired" });
+  return session;
+}
+
+// 🆕 Start an upload session
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const { filename, size } = req.body || {};
+    const total = parseInt(size, 10);
+    if (!filename || typeof filename !== "string") return res.status(400).json({ error: "filename is required" });
+    if (!total || total < 1) return res.status(400).json({ error: "size must be a positive number of bytes" });
+    if (total > MAX_UPLOAD_BYTES) return res.status(413).json({ error: "File too large. Max size is 200MB" });
+
+    const mimetype = req.body.mimetype?.startsWith("audio/") ? req.body.mimetype : audioMimeType(filename);
+    if (!mimetype) return res.status(400).json({ error: "Only audio files are allowed" });
+    if (req.body.visibility !== undefined && !isValidVisibility(req.body.visibility)) {
+      return res.status(400).json({ error: "visibility must be public, unlisted or private" });
+    }
+    if (req.body.releaseAt !== undefined && !isValidReleaseAt(req.body.releaseAt)) {
+      return res.status(400).json({ error: "releaseAt must be an ISO date" });
+    }
+
+    const session = await UploadSession.create({
+      userId: req.user.id,
+      filename,
+      mimetype,
+      size: total,
+      fields: pickSongFields(req.body),
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    });
+
+    res.status(201).json({ upload: sessionView(session) });
+  } catch (err) {
+    console.error("Create upload error:", err);
+    res.status(500).json({ error: "Failed to start upload" });
+  }
+});
+
+// 🔎 Session status (offset to resume from)
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+    res.json({ upload: sessionView(session) });
+  } catch (err) {
+    console.error("Get upload error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ➕ Append a chunk (raw body) at Upload-Offset
+router.patch(
+  "/:id",
+  authMiddleware,
+  express.raw({ type: () => true, limit: MAX_CHUNK_BYTES }),
+  async (req, res) => {
+    try {
+      const session = await findOwnSession(req, res);
+      if (!session) return;
+      if (session.status !== "uploading") return res.status(409).json({ error: `Upload is ${session.status}` });
+
+      const offset = parseInt(req.get("upload-offset"), 10);
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      if (Number.isNaN(offset)) return res.status(400).json({ error: "Upload-Offset header is required" });
+      if (!chunk.length) return res.status(400).json({ error: "Empty chunk" });
+      if (offset + chunk.length > session.size) return res.status(400).json({ error: "Chunk exceeds declared size" });
+
+      const updated = await appendChunk(session, offset, chunk);
+      res.json({ upload: sessionView(updated) });
+    } catch (err) {
+      if (err instanceof UploadOffsetError) return res.status(409).json({ error: err.message, offset: err.offset });
+      console.error("Append chunk error:", err);
+      res.status(500).json({ error: "Failed to store chunk" });
+    }
+  }
+);
+
+// ✅ Finalize: assemble chunks in a temp file and create the song (same pipeline as /api/music/upload)
+router.post(
+  "/:id/finalize",
+  authMiddleware,
+  (req, res, next) => {
+    coverUpload.single("cover")(req, res, (err) => {
+      if (err) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({ error: "File too large. Max size is 20MB" });
+        }
+        return res.status(400).json({ error: err.message });
+      }
+      next();
+    });
+  },
+  async (req, res) => {
+    try {
+      if (req.body?.visibility !== undefined && !isValidVisibility(req.body.visibility)) {
+        return res.status(400).json({ error: "visibility must be public, unlisted or private" });
+      }
+      if (req.body?.releaseAt !== undefined && !isValidReleaseAt(req.body.releaseAt)) {
+        return res.status(400).json({ error: "releaseAt must be an ISO date" });
+      }
+      const session = await findOwnSession(req, res);
+      if (!session) return;
+      if (session.status === "complete") return res.json({ message: "Upload already finalized", upload: sessionView(session) });
+      if (session.offset !== session.size) {
+        return res.status(409).json({ error: "Upload incomplete", offset: session.offset, size: session.size });
+      }
+
+      // Claim the session so two finalize calls can't both create a song
+      const claimed = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "uploading" },
+        { $set: { status: "finalizing" } },
+        { new: true }
+      );
+      if (!claimed) return res.status(409).json({ error: "Upload is already being finalized" });
+
+      // on disk rather than in memory: sessions go up to MAX_UPLOAD_BYTES
+      const dir = await makeTempDir("upload");
+      try {
+        const filePath = path.join(dir, `audio${path.extname(session.filename).toLowerCase()}`);
+        await writeSessionFile(session, filePath);
+
+        const song = await createSongFromFile({
+          file: { path: filePath, size: session.size, originalname: session.filename, mimetype: session.mimetype },
+          body: { ...session.fields, ...pickSongFields(req.body) },
+          cover: req.file && { buffer: req.file.buffer, filename: req.file.originalname, contentType: req.file.mimetype },
+          userId: session.userId,
+        });
+
+        claimed.status = "complete";
+        claimed.songId = song._id;
+        await claimed.save();
+        await UploadChunk.deleteMany({ sessionId: session._id });
+
+        res.status(201).json({ message: "✅ Song uploaded successfully", song, upload: sessionView(claimed) });
+      } catch (err) {
+        await UploadSession.updateOne({ _id: session._id }, { $set: { status: "uploading" } });
+        throw err;
+      } finally {
+        await removeTempDir(dir);
+      }
+    } catch (err) {
+      if (err instanceof DuplicateSongError) {
+        return res.status(409).json({ error: err.message, duplicateOf: err.duplicateOf });
+      }
+      if (err instanceof MissingChunksError) return res.status(409).json({ error: err.message });
+      console.error("Finalize upload error:", err);
+      res.status(500).json({ error: "Upload failed" });
+    }
+  }
+);
+
+// ❌ Abort an upload and drop its chunks
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+    if (session.status === "finalizing") return res.status(409).json({ error: "Upload is being finalized" });
+
+    await UploadChunk.deleteMany({ sessionId: session._id });
+    await session.deleteOne();
+    res.json({ message: "Upload cancelled" });
+  } catch (err) {
+    console.error("Cancel upload error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
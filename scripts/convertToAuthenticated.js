@@ -1,16 +1,12 @@
-import { v2 as cloudinary } from "cloudinary";
+// Cloudinary-only: flips existing audio assets to access_mode "authenticated" in place.
+// Run with CLOUDINARY_AUDIO_TYPE left at "upload" (the assets' delivery type doesn't change).
 import mongoose from "mongoose";
 import dotenv from "dotenv";
+import cloudinary from "../config/cloudinary.js";
 import Song from "../models/Song.js";
 
 dotenv.config();
 
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
 async function convertToAuthenticated() {
   await mongoose.connect(process.env.MONGO_URI, {
     dbName: process.env.MONGO_DB || "music_app",
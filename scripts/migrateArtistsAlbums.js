@@ -0,0 +1,49 @@
+// Turns the free-text Song.artist / Song.album strings into Artist and Album entities
+// and re-links every song. Safe to re-run: entities are matched by normalized name.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Song from "../models/Song.js";
+import Artist from "../models/Artist.js";
+import Album from "../models/Album.js";
+import { linkSongEntities } from "../services/catalog.js";
+
+dotenv.config();
+
+async function migrateArtistsAlbums() {
+  await mongoose.connect(process.env.MONGO_URI, {
+    dbName: process.env.MONGO_DB || "music_app",
+  });
+  console.log("✅ Connected to MongoDB");
+
+  // Unique indexes must exist before concurrent-safe upserts rely on them
+  await Artist.syncIndexes();
+  await Album.syncIndexes();
+
+  const songs = await Song.find().sort({ createdAt: 1 });
+  console.log(`🎵 Found ${songs.length} songs`);
+
+  let linked = 0;
+  for (const song of songs) {
+    try {
+      const before = `${song.artistId}|${song.albumId}|${song.artist}|${song.album}`;
+      await linkSongEntities(song);
+      if (`${song.artistId}|${song.albumId}|${song.artist}|${song.album}` !== before) {
+        await song.save();
+        linked++;
+      }
+    } catch (err) {
+      console.error(`❌ Error linking ${song.title}:`, err.message);
+    }
+  }
+
+  console.log(`🎤 ${await Artist.countDocuments()} artists, 💿 ${await Album.countDocuments()} albums`);
+  console.log(`🔗 Re-linked ${linked} songs`);
+
+  await mongoose.disconnect();
+  console.log("🎉 Migration complete!");
+}
+
+migrateArtistsAlbums().catch((err) => {
+  console.error("Fatal:", err);
+  process.exit(1);
+});
@@ -1,20 +1,14 @@
+// Re-uploads every song through the configured storage driver.
+// Run with CLOUDINARY_AUDIO_TYPE=authenticated to make audio private on Cloudinary.
 import mongoose from "mongoose";
-import { v2 as cloudinary } from "cloudinary";
 import fetch from "node-fetch";
-import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
 import Song from "../models/Song.js"; // ✅ correct relative path
+import storage from "../services/storage/index.js";
 
 dotenv.config();
 
-// Cloudinary setup
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
 try {
   // Connect to MongoDB
   await mongoose.connect(process.env.MONGO_URI, {
@@ -44,21 +38,20 @@ try {
       if (!res.ok) throw new Error(`Download failed (${res.status})`);
 
       const buffer = Buffer.from(await res.arrayBuffer());
-      const tempPath = path.resolve(`./temp-${song._id}.mp3`);
-      fs.writeFileSync(tempPath, buffer);
 
-      console.log(`⬆️ Reuploading ${song.title} as authenticated...`);
-      const uploadRes = await cloudinary.uploader.upload(tempPath, {
-        resource_type: "video",
+      console.log(`⬆️ Reuploading ${song.title} via ${storage.name} storage...`);
+      const uploadRes = await storage.put(buffer, {
+        kind: "audio",
         folder: "songs",
-        type: "authenticated", // 🔒 make private
+        filename: path.basename(new URL(song.url).pathname),
+        contentType: res.headers.get("content-type") || "",
       });
 
-      song.url = uploadRes.secure_url;
-      song.publicId = uploadRes.public_id;
+      song.url = uploadRes.url;
+      song.publicId = uploadRes.key;
+      song.size = uploadRes.size;
       await song.save();
 
-      fs.unlinkSync(tempPath);
       console.log(`✅ Migrated: ${song.title}`);
     } catch (err) {
       console.error(`❌ Error migrating "${song.title}": ${err.message}`);
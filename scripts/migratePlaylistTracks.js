@@ -0,0 +1,45 @@
+// Turns bare song ids in Playlist.tracks into { songId, addedAt, addedBy } entries.
+// Old entries get the playlist's creation date and owner. Safe to re-run: converted entries are left alone.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Playlist from "../models/playlist.js";
+
+dotenv.config();
+
+async function migratePlaylistTracks() {
+  await mongoose.connect(process.env.MONGO_URI, {
+    dbName: process.env.MONGO_DB || "music_app",
+  });
+  console.log("✅ Connected to MongoDB");
+
+  // runs on the raw collection: the schema can no longer load the old shape
+  const result = await Playlist.collection.updateMany({ tracks: { $type: "objectId" } }, [
+    {
+      $set: {
+        tracks: {
+          $map: {
+            input: "$tracks",
+            as: "t",
+            in: {
+              $cond: [
+                { $eq: [{ $type: "$$t" }, "objectId"] },
+                { songId: "$$t", addedAt: { $ifNull: ["$createdAt", "$$NOW"] }, addedBy: "$userId" },
+                "$$t",
+              ],
+            },
+          },
+        },
+      },
+    },
+  ]);
+
+  console.log(`📋 Converted ${result.modifiedCount} playlists`);
+
+  await mongoose.disconnect();
+  console.log("🎉 Migration complete!");
+}
+
+migratePlaylistTracks().catch((err) => {
+  console.error("Fatal:", err);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// Permanently removes songs (with their storage assets) and playlists that have been in the
+// trash longer than TRASH_RETENTION_DAYS (default 30). Meant for cron on serverless deploys.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { purgeExpiredTrash } from "../services/trash.js";
+
+dotenv.config();
+
+async function purgeTrash() {
+  await mongoose.connect(process.env.MONGO_URI, {
+    dbName: process.env.MONGO_DB || "music_app",
+  });
+  console.log("✅ Connected to MongoDB");
+
+  const report = await purgeExpiredTrash();
+  console.log(`🗑️ Purged ${report.songsPurged} songs, ${report.playlistsPurged} playlists`);
+  for (const f of report.failed) console.error(`❌ ${f.title} (${f.id}): ${f.error}`);
+
+  await mongoose.disconnect();
+}
+
+purgeTrash().catch((err) => {
+  console.error("Fatal:", err);
+  process.exit(1);
+});
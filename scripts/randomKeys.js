@@ -0,0 +1,29 @@
+// Gives every song a randomKey (the position used by sort=random) and builds its index.
+// Songs created since the field was added already have one. Safe to re-run.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Song from "../models/Song.js";
+
+dotenv.config();
+
+async function randomKeys() {
+  await mongoose.connect(process.env.MONGO_URI, {
+    dbName: process.env.MONGO_DB || "music_app",
+  });
+  console.log("✅ Connected to MongoDB");
+
+  // runs on the raw collection so trashed songs are included; $rand gives each song its own key
+  const result = await Song.collection.updateMany({ randomKey: { $exists: false } }, [{ $set: { randomKey: { $rand: {} } } }]);
+  console.log(`🎲 ${result.modifiedCount} songs given a random key`);
+
+  await Song.createIndexes();
+  console.log("🔑 randomKey index in place");
+
+  await mongoose.disconnect();
+  console.log("🎉 Migration complete!");
+}
+
+randomKeys().catch((err) => {
+  console.error("Fatal:", err);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+// Makes Song.contentHash unique. Where several songs (trashed ones included) share a hash, the oldest
+// keeps it and the others move it to duplicateHash, so they still show up in the admin duplicates report.
+// Then the old non-unique index is replaced. Safe to re-run.
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Song from "../models/Song.js";
+
+dotenv.config();
+
+async function uniqueContentHash() {
+  await mongoose.connect(process.env.MONGO_URI, {
+    dbName: process.env.MONGO_DB || "music_app",
+  });
+  console.log("✅ Connected to MongoDB");
+
+  // runs on the raw collection so trashed songs are included
+  const groups = await Song.collection
+    .aggregate([
+      { $match: { contentHash: { $type: "string" } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $group: { _id: "$contentHash", ids: { $push: "$_id" } } },
+      { $match: { "ids.1": { $exists: true } } },
+    ])
+    .toArray();
+
+  let moved = 0;
+  for (const group of groups) {
+    const result = await Song.collection.updateMany(
+      { _id: { $in: group.ids.slice(1) } },
+      { $set: { duplicateHash: group._id }, $unset: { contentHash: "" } }
+    );
+    moved += result.modifiedCount;
+  }
+  console.log(`🔁 ${groups.length} shared hashes, ${moved} songs marked as duplicates`);
+
+  const indexes = await Song.collection.indexes();
+  const old = indexes.find((index) => index.name === "contentHash_1" && !index.unique);
+  if (old) await Song.collection.dropIndex(old.name);
+  await Song.createIndexes();
+  console.log("🔑 Unique contentHash index in place");
+
+  await mongoose.disconnect();
+  console.log("🎉 Migration complete!");
+}
+
+uniqueContentHash().catch((err) => {
+  console.error("Fatal:", err);
+  process.exit(1);
+});
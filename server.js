@@ -8,6 +8,7 @@ import helmet from "helmet";
 import hpp from "hpp";
 import cookieParser from "cookie-parser";
 import musicRoutes from "./routes/music.js";
+import uploadSessionRoutes from "./routes/uploads.js";
 import avatarRoutes from "./routes/avatar.js";
 import authRoutes from "./routes/auth.js";
 import chatRouter from "./routes/chat.js";
@@ -16,6 +17,10 @@ import playlistRoutes from "./routes/playlists.js";
 import likesRoutes from "./routes/likes.js";
 import statsRoutes from "./routes/stats.js";
 import adminRoutes from "./routes/admin.js";
+import artistRoutes from "./routes/artists.js";
+import albumRoutes from "./routes/albums.js";
+import storage from "./services/storage/index.js";
+import { purgeExpiredTrash } from "./services/trash.js";
 
 const app = express();
 
@@ -34,7 +39,7 @@ app.set("trust proxy", 1);
 // ---------- Middlewares ----------
 app.disable("x-powered-by");
 app.use(helmet());
-app.use(hpp());
+app.use(hpp({ whitelist: ["genre", "artist", "album", "tag"] })); // multi-value catalog filters (GET /api/music, /api/music/search)
 
 app.use(express.json({ limit: "10mb" }));
 app.use(cookieParser());
@@ -51,7 +56,7 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Upload-Offset"],
   })
 );
 
@@ -62,14 +67,20 @@ app.options(/.*/, (req, res) => {
     res.setHeader("Access-Control-Allow-Origin", origin);
   }
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, PATCH, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Upload-Offset");
   res.setHeader("Access-Control-Allow-Credentials", "true");
   res.status(204).end();
 });
 
 // ---------- Routes ----------
+// Local storage driver serves its own files (public images + signed private links)
+if (storage.middleware) {
+  app.use(storage.mountPath, storage.middleware());
+}
+
 app.use("/api/auth", authRoutes);
 app.use("/api/avatar", avatarRoutes);
+app.use("/api/music/uploads", uploadSessionRoutes);
 app.use("/api/music", musicRoutes);
 app.use("/api/chat", chatRouter);
 app.use("/api/upload", uploadRoutes);
@@ -77,6 +88,8 @@ app.use("/api/playlist", playlistRoutes);
 app.use("/api/likes", likesRoutes);
 app.use("/api/stats", statsRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/artists", artistRoutes);
+app.use("/api/albums", albumRoutes);
 
 // Test route
 app.get("/", (req, res) => {
@@ -91,6 +104,16 @@ mongoose
   .connect(MONGO_URI, { dbName: process.env.MONGO_DB || "music_app" })
   .then(() => {
     app.listen(PORT, () => console.log(`✅ Server running on http://localhost:${PORT}\n✅ Connected to MongoDB`));
+
+    // 🗑️ Permanently remove expired trash now and every 6 hours (or run scripts/purgeTrash.js from cron)
+    const purgeTrash = () =>
+      purgeExpiredTrash()
+        .then(({ songsPurged, playlistsPurged }) => {
+          if (songsPurged || playlistsPurged) console.log(`🗑️ Purged ${songsPurged} songs, ${playlistsPurged} playlists`);
+        })
+        .catch((err) => console.error("Trash purge error:", err));
+    purgeTrash();
+    setInterval(purgeTrash, 6 * 60 * 60 * 1000).unref();
   })
   .catch((err) => {
     console.error("❌ MongoDB connection error:", err);
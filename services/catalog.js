@@ -0,0 +1,67 @@
+// services/catalog.js
+import Artist from "../models/Artist.js";
+import Album from "../models/Album.js";
+
+// Song defaults that mean "no entity" (see models/Song.js)
+const UNKNOWN_ARTIST = "unknown artist";
+const SINGLES = "singles";
+
+const tidy = (name = "") => String(name).replace(/\s+/g, " ").trim();
+
+// Case/spacing/accent-insensitive key, so "Daft Punk" and "daft  punk" are one artist
+export const normalizeName = (name = "") =>
+  tidy(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+async function findOrCreate(Model, filter, insert) {
+  try {
+    return await Model.findOneAndUpdate(filter, { $setOnInsert: insert }, { upsert: true, new: true });
+  } catch (err) {
+    if (err.code === 11000) return Model.findOne(filter); // lost a race with a concurrent insert
+    throw err;
+  }
+}
+
+export async function resolveArtist(name) {
+  const key = normalizeName(name);
+  if (!key || key === UNKNOWN_ARTIST) return null;
+  return findOrCreate(Artist, { nameKey: key }, { name: tidy(name) });
+}
+
+// Albums are unique per artist; later tracks fill in a missing cover or release year
+export async function resolveAlbum(title, artist, { year, cover } = {}) {
+  const key = normalizeName(title);
+  if (!key || key === SINGLES) return null;
+
+  const album = await findOrCreate(
+    Album,
+    { artistId: artist?._id || null, titleKey: key },
+    { title: tidy(title), releaseYear: year || null, cover: cover || "" }
+  );
+
+  const fill = {};
+  if (!album.cover && cover) fill.cover = cover;
+  if (!album.releaseYear && year) fill.releaseYear = year;
+  if (Object.keys(fill).length) {
+    await Album.updateOne({ _id: album._id }, { $set: fill });
+    Object.assign(album, fill);
+  }
+  return album;
+}
+
+/**
+ * Point a song (document or plain object) at its Artist/Album entities, creating them as
+ * needed, and use the entities' canonical spelling for the song's artist/album strings.
+ */
+export async function linkSongEntities(song) {
+  const artist = await resolveArtist(song.artist);
+  const album = await resolveAlbum(song.album, artist, { year: song.year, cover: song.cover });
+
+  song.artistId = artist?._id || null;
+  song.albumId = album?._id || null;
+  if (artist) song.artist = artist.name;
+  if (album) song.album = album.title;
+  return { artist, album };
+}
@@ -0,0 +1,94 @@
+// services/duplicates.js
+import Song from "../models/Song.js";
+import Like from "../models/Like.js";
+import ListeningEvent from "../models/ListeningEvent.js";
+import Playlist from "../models/playlist.js";
+import { purgeSong } from "./lifecycle.js";
+
+// Groups of songs sharing the same content hash (the one holding it plus legacy duplicates), biggest first
+export async function findDuplicateGroups({ offset = 0, limit = 50 } = {}) {
+  return Song.aggregate([
+    { $match: { $or: [{ contentHash: { $type: "string" } }, { duplicateHash: { $type: "string" } }] } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { $ifNull: ["$contentHash", "$duplicateHash"] },
+        count: { $sum: 1 },
+        songs: {
+          $push: {
+            _id: "$_id",
+            title: "$title",
+            artist: "$artist",
+            album: "$album",
+            uploadedBy: "$uploadedBy",
+            plays: "$plays",
+            likesCount: "$likesCount",
+            createdAt: "$createdAt",
+          },
+        },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $skip: offset },
+    { $limit: limit },
+    { $project: { _id: 0, contentHash: "$_id", count: 1, songs: 1 } },
+  ]);
+}
+
+/**
+ * Fold duplicate songs into `canonical`: likes, playlist entries, listening events and
+ * play counts move over, then the duplicates and their storage assets are deleted.
+ * Returns counts of what was moved.
+ */
+export async function mergeDuplicateSongs(canonical, duplicates) {
+  const dupIds = duplicates.map((d) => d._id);
+  const dupIdSet = new Set(dupIds.map(String));
+  const report = { likesMoved: 0, likesDropped: 0, playlistsUpdated: 0, eventsMoved: 0, songsDeleted: 0 };
+
+  // Likes: re-point, dropping ones from users who already like the canonical song
+  const likes = await Like.find({ songId: { $in: dupIds } });
+  for (const like of likes) {
+    const alreadyLikes = await Like.exists({ userId: like.userId, songId: canonical._id });
+    if (alreadyLikes) {
+      await like.deleteOne();
+      report.likesDropped++;
+    } else {
+      like.songId = canonical._id;
+      await like.save();
+      report.likesMoved++;
+    }
+  }
+
+  // Playlists (trashed ones too): swap in the canonical song, keeping each entry where it was
+  const playlists = await Playlist.find({ "tracks.songId": { $in: dupIds } }).setOptions({ withDeleted: true });
+  for (const playlist of playlists) {
+    for (const track of playlist.tracks) {
+      if (dupIdSet.has(String(track.songId))) track.songId = canonical._id;
+    }
+    playlist.version += 1;
+    await playlist.save();
+    report.playlistsUpdated++;
+  }
+
+  const events = await ListeningEvent.updateMany({ songId: { $in: dupIds } }, { $set: { songId: canonical._id } });
+  report.eventsMoved = events.modifiedCount;
+
+  const likesCount = await Like.countDocuments({ songId: canonical._id });
+  const extraPlays = duplicates.reduce((sum, d) => sum + (d.plays || 0), 0);
+  await Song.updateOne({ _id: canonical._id }, { $inc: { plays: extraPlays }, $set: { likesCount, likes: likesCount } });
+
+  // purgeSong also sweeps up anything that started pointing at a duplicate during the merge
+  for (const dup of duplicates) {
+    await purgeSong(dup);
+    report.songsDeleted++;
+  }
+
+  // a legacy duplicate kept as canonical takes over the unique hash from the song that held it
+  const holder = duplicates.find((d) => d.contentHash);
+  if (!canonical.contentHash && holder) {
+    await Song.updateOne({ _id: canonical._id }, { $set: { contentHash: holder.contentHash }, $unset: { duplicateHash: 1 } });
+  }
+
+  return report;
+}
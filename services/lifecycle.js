@@ -0,0 +1,216 @@
+// services/lifecycle.js
+import Song from "../models/Song.js";
+import User from "../models/User.js";
+import Like from "../models/Like.js";
+import ListeningEvent from "../models/ListeningEvent.js";
+import Playlist from "../models/playlist.js";
+import PlaylistFollow from "../models/PlaylistFollow.js";
+import Waveform from "../models/Waveform.js";
+import RecentSearch from "../models/RecentSearch.js";
+import UploadSession from "../models/UploadSession.js";
+import UploadChunk from "../models/UploadChunk.js";
+import { safeDelete } from "./storage/index.js";
+import { deleteSongAssets } from "./songAssets.js";
+
+/**
+ * Permanently delete a song and everything that points at it: likes, listening events,
+ * playlist entries (and cached smart playlist results), its waveform and its storage assets (all audio versions + unshared cover).
+ * Returns counts of what was removed.
+ */
+export async function purgeSong(song) {
+  const [likes, events, playlists] = await Promise.all([
+    Like.deleteMany({ songId: song._id }),
+    ListeningEvent.deleteMany({ songId: song._id }),
+    Playlist.updateMany({ "tracks.songId": song._id }, { $pull: { tracks: { songId: song._id } }, $inc: { version: 1 } }),
+    // smart playlist listings show the cached evaluation as is, so it mustn't keep the song either
+    Playlist.updateMany({ "smartCache.songIds": song._id }, { $pull: { "smartCache.songIds": song._id } }),
+  ]);
+  await Song.deleteOne({ _id: song._id });
+  await deleteSongAssets(song);
+
+  return {
+    songs: 1,
+    likes: likes.deletedCount,
+    listeningEvents: events.deletedCount,
+    playlistEntries: playlists.modifiedCount,
+  };
+}
+
+const addCounts = (total, counts) => {
+  for (const [key, n] of Object.entries(counts)) total[key] = (total[key] || 0) + n;
+  return total;
+};
+
+/**
+ * Delete a user and their data: uploaded songs (trashed ones included, each via purgeSong),
+ * playlists and their seats on others' playlists, likes and playlist follows (fixing the counters
+ * they fed), listening history, recent searches, upload sessions and their avatar. Returns counts
+ * of what was removed.
+ */
+export async function deleteUserCascade(user) {
+  const report = { songs: 0, likes: 0, listeningEvents: 0, playlistEntries: 0 };
+
+  const songs = await Song.find({ uploadedBy: user._id }).setOptions({ withDeleted: true });
+  for (const song of songs) addCounts(report, await purgeSong(song));
+
+  // the user's own likes: decrement what they liked before removing them
+  const likedSongIds = await Like.distinct("songId", { userId: user._id });
+  if (likedSongIds.length) {
+    await Song.updateMany({ _id: { $in: likedSongIds } }, { $inc: { likesCount: -1, likes: -1 } });
+  }
+
+  // same for playlists they follow; follows of their own playlists go with those
+  const followedIds = await PlaylistFollow.distinct("playlistId", { userId: user._id });
+  if (followedIds.length) {
+    await Playlist.updateMany({ _id: { $in: followedIds } }, { $inc: { followersCount: -1 } });
+  }
+  const ownPlaylistIds = await Playlist.distinct("_id", { userId: user._id }).setOptions({ withDeleted: true });
+
+  const sessionIds = await UploadSession.distinct("_id", { userId: user._id });
+  const [likes, events, playlists, collaborations, follows, searches, chunks, sessions] = await Promise.all([
+    Like.deleteMany({ userId: user._id }),
+    ListeningEvent.deleteMany({ userId: user._id }),
+    Playlist.deleteMany({ userId: user._id }),
+    Playlist.updateMany({ "collaborators.userId": user._id }, { $pull: { collaborators: { userId: user._id } } }),
+    PlaylistFollow.deleteMany({ $or: [{ userId: user._id }, { playlistId: { $in: ownPlaylistIds } }] }),
+    RecentSearch.deleteMany({ userId: user._id }),
+    UploadChunk.deleteMany({ sessionId: { $in: sessionIds } }),
+    UploadSession.deleteMany({ userId: user._id }),
+  ]);
+
+  const avatarDeleted = await safeDelete(user.avatarPublicId, { kind: "image" });
+  await User.deleteOne({ _id: user._id });
+
+  return addCounts(report, {
+    users: 1,
+    likes: likes.deletedCount,
+    listeningEvents: events.deletedCount,
+    playlists: playlists.deletedCount,
+    collaborations: collaborations.modifiedCount,
+    playlistFollows: follows.deletedCount,
+    recentSearches: searches.deletedCount,
+    uploadSessions: sessions.deletedCount,
+    uploadChunks: chunks.deletedCount,
+    avatars: avatarDeleted ? 1 : 0,
+  });
+}
+
+/* ──────────────────────────────── INTEGRITY CHECK ──────────────────────────────── */
+
+// Ids of `Model` documents whose `field` references nothing in `Target` (trashed targets still count as existing)
+async function danglingIds(Model, field, Target) {
+  const rows = await Model.aggregate([
+    {
+      $lookup: {
+        from: Target.collection.name,
+        localField: field,
+        foreignField: "_id",
+        pipeline: [{ $project: { _id: 1 } }],
+        as: "_ref",
+      },
+    },
+    { $match: { _ref: { $size: 0 } } },
+    { $project: { _id: 1 } },
+  ]).option({ withDeleted: true });
+  return rows.map((r) => r._id);
+}
+
+// Playlists with track entries pointing at songs that no longer exist: [{ _id, missing: [songId] }]
+function danglingPlaylistTracks() {
+  return Playlist.aggregate([
+    { $unwind: "$tracks" },
+    {
+      $lookup: {
+        from: Song.collection.name,
+        localField: "tracks.songId",
+        foreignField: "_id",
+        pipeline: [{ $project: { _id: 1 } }],
+        as: "_ref",
+      },
+    },
+    { $match: { _ref: { $size: 0 } } },
+    { $group: { _id: "$_id", missing: { $addToSet: "$tracks.songId" } } },
+  ]).option({ withDeleted: true });
+}
+
+// Songs whose stored like counter disagrees with their Like documents: [{ _id, likesCount, actual }]
+function likeCountDrift() {
+  return Song.aggregate([
+    {
+      $lookup: {
+        from: Like.collection.name,
+        localField: "_id",
+        foreignField: "songId",
+        pipeline: [{ $count: "n" }],
+        as: "_likes",
+      },
+    },
+    { $project: { likesCount: 1, actual: { $ifNull: [{ $first: "$_likes.n" }, 0] } } },
+    { $match: { $expr: { $ne: ["$likesCount", "$actual"] } } },
+  ]).option({ withDeleted: true });
+}
+
+/**
+ * Find (and with `repair: true`, fix) references left dangling by past deletions.
+ * Resolves to `{ repaired, issues }` where each issue is a count of affected documents.
+ * Songs without an uploader are reported but only removed on repair (via purgeSong).
+ */
+export async function checkIntegrity({ repair = false } = {}) {
+  const [likesNoSong, likesNoUser, eventsNoSong, eventsNoUser, playlistsNoUser, waveformsNoSong, songsNoUser, searchesNoUser] =
+    await Promise.all([
+      danglingIds(Like, "songId", Song),
+      danglingIds(Like, "userId", User),
+      danglingIds(ListeningEvent, "songId", Song),
+      danglingIds(ListeningEvent, "userId", User),
+      danglingIds(Playlist, "userId", User),
+      danglingIds(Waveform, "songId", Song),
+      danglingIds(Song, "uploadedBy", User),
+      danglingIds(RecentSearch, "userId", User),
+    ]);
+  const playlistTracks = await danglingPlaylistTracks();
+  const [followsNoPlaylist, followsNoUser] = await Promise.all([
+    danglingIds(PlaylistFollow, "playlistId", Playlist),
+    danglingIds(PlaylistFollow, "userId", User),
+  ]);
+
+  const orphanLikes = [...new Set([...likesNoSong, ...likesNoUser].map(String))];
+  const orphanEvents = [...new Set([...eventsNoSong, ...eventsNoUser].map(String))];
+  const orphanFollows = [...new Set([...followsNoPlaylist, ...followsNoUser].map(String))];
+
+  if (repair) {
+    // likes first, so the counter fix below sees the cleaned-up state
+    await Like.deleteMany({ _id: { $in: orphanLikes } });
+    await ListeningEvent.deleteMany({ _id: { $in: orphanEvents } });
+    await Playlist.deleteMany({ _id: { $in: playlistsNoUser } });
+    await Waveform.deleteMany({ _id: { $in: waveformsNoSong } });
+    await RecentSearch.deleteMany({ _id: { $in: searchesNoUser } });
+    await PlaylistFollow.deleteMany({ _id: { $in: orphanFollows } });
+    for (const { _id, missing } of playlistTracks) {
+      await Playlist.updateOne({ _id }, { $pull: { tracks: { songId: { $in: missing } } }, $inc: { version: 1 } });
+    }
+    const orphanSongs = await Song.find({ _id: { $in: songsNoUser } }).setOptions({ withDeleted: true });
+    for (const song of orphanSongs) await purgeSong(song);
+  }
+
+  const drift = await likeCountDrift();
+  if (repair && drift.length) {
+    await Song.bulkWrite(
+      drift.map((d) => ({ updateOne: { filter: { _id: d._id }, update: { $set: { likesCount: d.actual, likes: d.actual } } } }))
+    );
+  }
+
+  return {
+    repaired: repair,
+    issues: {
+      orphanLikes: orphanLikes.length,
+      orphanListeningEvents: orphanEvents.length,
+      orphanPlaylists: playlistsNoUser.length,
+      danglingPlaylistTracks: playlistTracks.reduce((n, p) => n + p.missing.length, 0),
+      orphanWaveforms: waveformsNoSong.length,
+      orphanRecentSearches: searchesNoUser.length,
+      orphanPlaylistFollows: orphanFollows.length,
+      songsWithoutUploader: songsNoUser.length,
+      likeCountDrift: drift.length,
+    },
+  };
+}
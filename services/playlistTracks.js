@@ -0,0 +1,99 @@
+// services/playlistTracks.js
+import Playlist from "../models/playlist.js";
+
+export const MAX_PLAYLIST_TRACKS = 5000;
+export const MAX_TRACKS_PER_EDIT = 500;
+
+// Malformed track edit (bad position, not a permutation, too many tracks…); routes answer 400
+export class PlaylistEditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PlaylistEditError";
+    this.status = 400;
+  }
+}
+
+// The playlist changed since the client read it (or between our read and write); carries the current version
+export class PlaylistVersionConflictError extends Error {
+  constructor(version) {
+    super("The playlist was changed by another request, reload it and try again");
+    this.name = "PlaylistVersionConflictError";
+    this.status = 409;
+    this.version = version;
+  }
+}
+
+function checkIndex(value, max, name) {
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new PlaylistEditError(`${name} must be an integer between 0 and ${max}`);
+  }
+  return value;
+}
+
+// `entries` inserted before `position` (default: appended)
+export function insertEntries(tracks, entries, position = tracks.length) {
+  checkIndex(position, tracks.length, "position");
+  return [...tracks.slice(0, position), ...entries, ...tracks.slice(position)];
+}
+
+// Drop the entries at `positions` and every entry of the songs in `songIds`
+export function removeEntries(tracks, { positions = [], songIds = [] }) {
+  for (const p of positions) checkIndex(p, tracks.length - 1, "position");
+  const dropped = new Set(positions);
+  const songs = new Set(songIds.map(String));
+  return tracks.filter((track, i) => !dropped.has(i) && !songs.has(String(track.songId)));
+}
+
+// Move the entry at `from` so it ends up at index `to`
+export function moveEntry(tracks, from, to) {
+  checkIndex(from, tracks.length - 1, "from");
+  checkIndex(to, tracks.length - 1, "to");
+  const next = [...tracks];
+  next.splice(to, 0, ...next.splice(from, 1));
+  return next;
+}
+
+// New order as a permutation of the current positions ([2, 0, 1] puts the third entry first)
+export function reorderEntries(tracks, order) {
+  if (!Array.isArray(order) || order.length !== tracks.length) {
+    throw new PlaylistEditError(`order must list all ${tracks.length} current positions`);
+  }
+  const seen = new Set();
+  for (const p of order) {
+    checkIndex(p, tracks.length - 1, "order entries");
+    if (seen.has(p)) throw new PlaylistEditError(`position ${p} appears twice in order`);
+    seen.add(p);
+  }
+  return order.map((p) => tracks[p]);
+}
+
+/**
+ * Apply `edit` (current tracks → new tracks) to `playlist` and bump its version.
+ * `expectedVersion` is the version the client last saw (optional); a mismatch, or another write
+ * landing between our read and ours, throws PlaylistVersionConflictError instead of overwriting.
+ * Resolves to the updated playlist.
+ */
+export async function editPlaylistTracks(playlist, expectedVersion, edit) {
+  if (playlist.type === "smart") {
+    throw new PlaylistEditError("Smart playlists are defined by their rules; snapshot it to edit tracks by hand");
+  }
+  const version = playlist.version;
+  if (expectedVersion !== undefined && expectedVersion !== version) throw new PlaylistVersionConflictError(version);
+
+  const tracks = edit(playlist.tracks.map((t) => t.toObject()));
+  if (tracks.length > MAX_PLAYLIST_TRACKS) {
+    throw new PlaylistEditError(`A playlist can hold at most ${MAX_PLAYLIST_TRACKS} tracks`);
+  }
+
+  const updated = await Playlist.findOneAndUpdate(
+    // playlists saved before versioning have no field yet
+    { _id: playlist._id, version: version || { $in: [0, null] } },
+    { $set: { tracks }, $inc: { version: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    const current = await Playlist.findById(playlist._id).select("version");
+    throw new PlaylistVersionConflictError(current?.version);
+  }
+  return updated;
+}
@@ -0,0 +1,326 @@
+// services/search.js
+import Song from "../models/Song.js";
+import Artist from "../models/Artist.js";
+import Album from "../models/Album.js";
+import User from "../models/User.js";
+import RecentSearch from "../models/RecentSearch.js";
+import { normalizeText, tokenize, bigrams, editDistance, allowedEdits, buildSearchTokens, MAX_PREFIX } from "../utils/searchText.js";
+import { HIDDEN_SONG_FIELDS } from "../utils/songFields.js";
+import { escapeRegex } from "../utils/regex.js";
+import { uploaderName } from "./songAssets.js";
+import { normalizeName } from "./catalog.js";
+import { listedFilter } from "../utils/songAccess.js";
+
+// How much a match in each field counts towards relevance
+const FIELD_WEIGHTS = { title: 10, artist: 8, album: 5, genre: 3, uploaderName: 2 };
+const LYRICS_WEIGHT = 3;
+
+const MAX_QUERY_WORDS = 8;
+const MAX_CANDIDATES = 1000; // songs pulled from each token index before ranking
+const MAX_FUZZY_SCAN = 5000; // songs sharing a rare bigram that get their overlap checked
+const RARE_GRAMS_PER_WORD = 3;
+const GRAM_COUNT_CAP = 10000; // bigram frequencies only need telling apart up to here
+const MAX_LYRIC_CANDIDATES = 200;
+const FACET_SIZE = 10;
+const RECENT_SEARCHES = 10; // kept per user
+
+const SCORING_FIELDS = "_id title artist album genre uploaderName plays likesCount";
+
+// Best match (0–1) of a query word against a field's words: exact > prefix > typo > typo in prefix
+function matchWord(queryWord, words) {
+  const edits = allowedEdits(queryWord.length);
+  let best = 0;
+  for (const word of words) {
+    if (word === queryWord) return 1;
+    if (word.startsWith(queryWord)) best = Math.max(best, 0.8);
+    if (!edits || best >= 0.7) continue;
+
+    const d = editDistance(queryWord, word, edits);
+    if (d <= edits) {
+      best = Math.max(best, 0.7 - 0.15 * (d - 1));
+    } else if (word.length > queryWord.length) {
+      const dp = editDistance(queryWord, word.slice(0, queryWord.length), edits);
+      if (dp <= edits) best = Math.max(best, 0.6 - 0.15 * (dp - 1));
+    }
+  }
+  return best;
+}
+
+/**
+ * Relevance of a song for the query words, blended with popularity. 0 means "not a match".
+ */
+export function scoreSong(song, queryWords, phrase, lyricMatch = false) {
+  const fieldWords = Object.keys(FIELD_WEIGHTS).map((f) => [f, tokenize(song[f])]);
+
+  let score = 0;
+  let matched = 0;
+  for (const queryWord of queryWords) {
+    let best = 0;
+    for (const [field, words] of fieldWords) best = Math.max(best, matchWord(queryWord, words) * FIELD_WEIGHTS[field]);
+    if (best > 0) matched++;
+    score += best;
+  }
+
+  // need at least half the words to match (or a lyrics hit)
+  if (matched * 2 < queryWords.length && !lyricMatch) return 0;
+  score *= matched === queryWords.length ? 1.25 : matched / queryWords.length;
+
+  // whole-phrase bonus: exact field value beats containing the phrase
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    const value = normalizeText(song[field]);
+    if (value === phrase) score += weight;
+    else if (queryWords.length > 1 && value.includes(phrase)) score += weight / 2;
+  }
+  if (lyricMatch) score += LYRICS_WEIGHT;
+
+  const popularity = 1 + 0.1 * Math.log10(1 + (song.plays || 0)) + 0.15 * Math.log10(1 + (song.likesCount || 0));
+  return score * popularity;
+}
+
+// Songs with a word starting with one of the query words, most played first (index-backed)
+function findPrefixCandidates(prefixes, baseQuery) {
+  return Song.find({ ...baseQuery, searchPrefixes: { $in: prefixes } })
+    .sort({ plays: -1 })
+    .limit(MAX_CANDIDATES)
+    .select(SCORING_FIELDS)
+    .lean();
+}
+
+/**
+ * Songs sharing enough bigrams with the typo-tolerant query words (most overlap first). Only each
+ * word's rarest grams go to the index — grams no song has are the typo itself — and the scan is
+ * capped before any overlap is computed, so common bigrams never pull in the whole collection.
+ */
+async function findFuzzyCandidates(words, baseQuery) {
+  const fuzzyWords = words.filter((w) => allowedEdits(w.length) > 0);
+  const grams = [...new Set(fuzzyWords.flatMap(bigrams))];
+  if (!grams.length) return [];
+
+  const counts = new Map(
+    await Promise.all(grams.map(async (g) => [g, await Song.countDocuments({ searchGrams: g }, { limit: GRAM_COUNT_CAP })]))
+  );
+  const rarest = (word) =>
+    bigrams(word)
+      .filter((g) => counts.get(g) > 0)
+      .sort((a, b) => counts.get(a) - counts.get(b))
+      .slice(0, RARE_GRAMS_PER_WORD);
+  const rare = [...new Set(fuzzyWords.flatMap(rarest))];
+  if (!rare.length) return [];
+
+  return Song.aggregate([
+    { $match: { ...baseQuery, searchGrams: { $in: rare } } },
+    { $limit: MAX_FUZZY_SCAN },
+    { $addFields: { _gramHits: { $size: { $setIntersection: ["$searchGrams", grams] } } } },
+    { $match: { _gramHits: { $gte: Math.ceil(grams.length * 0.4) } } },
+    { $sort: { _gramHits: -1, plays: -1 } },
+    { $limit: MAX_CANDIDATES },
+    { $project: Object.fromEntries(SCORING_FIELDS.split(" ").map((f) => [f, 1])) },
+  ]);
+}
+
+// Songs whose lyrics contain the query as a phrase
+function findLyricMatches(phrase, baseQuery) {
+  return Song.find({ ...baseQuery, $text: { $search: `"${phrase}"` } })
+    .limit(MAX_LYRIC_CANDIDATES)
+    .select(SCORING_FIELDS)
+    .lean();
+}
+
+function countFacet(songs, field) {
+  const counts = new Map();
+  for (const song of songs) {
+    const value = song[field];
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, FACET_SIZE)
+    .map(([value, count]) => ({ value, count }));
+}
+
+// Exact-value filter for the facet fields, case-insensitive like the in-memory one
+function facetFilterQuery(filters) {
+  const query = {};
+  for (const [field, values] of filters) {
+    query[field] = { $in: values.map((v) => new RegExp(`^${escapeRegex(v)}$`, "i")) };
+  }
+  return query;
+}
+
+/**
+ * Facets and total for a query whose candidates were capped, counted in the database over every
+ * song matching at least half the query words by prefix (the same bar scoreSong sets). Typo-only
+ * and lyrics-only matches aren't counted here.
+ */
+async function countMatches(prefixes, baseQuery, filters) {
+  const facet = (field) => [
+    { $match: { [field]: { $nin: ["", null] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_SIZE },
+    { $project: { _id: 0, value: "$_id", count: 1 } },
+  ];
+  const [result] = await Song.aggregate([
+    { $match: { ...baseQuery, searchPrefixes: { $in: prefixes } } },
+    {
+      $match: {
+        $expr: { $gte: [{ $size: { $setIntersection: ["$searchPrefixes", prefixes] } }, Math.ceil(prefixes.length / 2)] },
+      },
+    },
+    {
+      $facet: {
+        genre: facet("genre"),
+        artist: facet("artist"),
+        album: facet("album"),
+        total: [{ $match: facetFilterQuery(filters) }, { $count: "count" }],
+      },
+    },
+  ]);
+  return {
+    facets: { genre: result.genre, artist: result.artist, album: result.album },
+    total: result.total[0]?.count ?? 0,
+  };
+}
+
+/**
+ * Ranked search over title/artist/album/genre/uploader (+ lyrics phrases).
+ * Facets are counted over every match; `filters` ({ genre, artist, album }, each a value or a list
+ * of accepted values) then narrow the page. Only the best-ranked matches can be paged through, so
+ * `ranked` (how many of them passed the filters) can be smaller than `total` for broad queries.
+ * Resolves to { songs, total, ranked, facets } with `songs` being the requested slice.
+ */
+export async function searchSongs(q, { offset = 0, limit = 20, filters = {}, baseQuery = {} } = {}) {
+  const phrase = normalizeText(q);
+  const words = [...new Set(phrase.split(" ").filter(Boolean))].slice(0, MAX_QUERY_WORDS);
+  if (!words.length) return { songs: [], total: 0, ranked: 0, facets: { genre: [], artist: [], album: [] } };
+  const prefixes = [...new Set(words.map((w) => w.slice(0, MAX_PREFIX)))];
+
+  const [prefixCandidates, fuzzyCandidates, lyricMatches] = await Promise.all([
+    findPrefixCandidates(prefixes, baseQuery),
+    findFuzzyCandidates(words, baseQuery),
+    phrase.length >= 3 ? findLyricMatches(phrase, baseQuery) : [],
+  ]);
+
+  const byId = new Map();
+  for (const s of [...prefixCandidates, ...fuzzyCandidates]) byId.set(s._id.toString(), { song: s, lyric: false });
+  for (const s of lyricMatches) {
+    const entry = byId.get(s._id.toString());
+    if (entry) entry.lyric = true;
+    else byId.set(s._id.toString(), { song: s, lyric: true });
+  }
+
+  const ranked = [...byId.values()]
+    .map(({ song, lyric }) => ({ song, score: scoreSong(song, words, phrase, lyric) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const wanted = Object.entries(filters)
+    .map(([field, value]) => [field, [value].flat().filter(Boolean)])
+    .filter(([, values]) => values.length);
+  const accepted = wanted.map(([field, values]) => [field, new Set(values.map(normalizeText))]);
+  const matches = ranked.map((r) => r.song);
+  const filtered = matches.filter((s) => accepted.every(([field, values]) => values.has(normalizeText(s[field]))));
+
+  // the ranked set is every match unless the prefix lookup hit its cap; then count in the database
+  const { facets, total } =
+    prefixCandidates.length < MAX_CANDIDATES
+      ? {
+          facets: { genre: countFacet(matches, "genre"), artist: countFacet(matches, "artist"), album: countFacet(matches, "album") },
+          total: filtered.length,
+        }
+      : await countMatches(prefixes, baseQuery, wanted);
+
+  const pageIds = filtered.slice(offset, offset + limit).map((s) => s._id);
+  const docs = await Song.find({ _id: { $in: pageIds } })
+    .select(HIDDEN_SONG_FIELDS)
+    .populate("uploadedBy", "username displayName");
+  const docsById = new Map(docs.map((d) => [d._id.toString(), d]));
+
+  return {
+    songs: pageIds.map((id) => docsById.get(id.toString())).filter(Boolean),
+    total: Math.max(total, filtered.length),
+    ranked: filtered.length,
+    facets,
+  };
+}
+
+/**
+ * Search-as-you-type suggestions grouped by kind. Only index-backed prefix lookups
+ * (no fuzzy matching) so it stays cheap enough to call on every keystroke.
+ */
+export async function suggest(q, { limit = 5 } = {}) {
+  const words = normalizeText(q)
+    .split(" ")
+    .filter(Boolean)
+    .slice(0, MAX_QUERY_WORDS)
+    .map((w) => w.slice(0, MAX_PREFIX));
+  if (!words.length) return { songs: [], artists: [], albums: [], genres: [], users: [] };
+
+  const namePrefix = new RegExp(`^${escapeRegex(normalizeName(q))}`);
+  const usernamePrefix = new RegExp(`^${escapeRegex(q.trim().toLowerCase())}`);
+  const phrase = words.join(" ");
+
+  const [songs, artists, albums, genres, users] = await Promise.all([
+    Song.find({ searchPrefixes: { $all: words }, ...listedFilter() })
+      .sort({ plays: -1 })
+      .limit(limit)
+      .select("title artist album cover duration"),
+    Artist.find({ nameKey: namePrefix }).sort({ nameKey: 1 }).limit(limit).select("name image"),
+    Album.find({ titleKey: namePrefix })
+      .sort({ titleKey: 1 })
+      .limit(limit)
+      .select("title cover releaseYear artistId")
+      .populate("artistId", "name"),
+    Song.distinct("genre", listedFilter()),
+    User.find({ username: usernamePrefix }).sort({ username: 1 }).limit(limit).select("username displayName avatarUrl"),
+  ]);
+
+  return {
+    songs,
+    artists,
+    albums,
+    genres: genres
+      .filter((g) => g && tokenize(g).join(" ").startsWith(phrase))
+      .sort()
+      .slice(0, limit),
+    users,
+  };
+}
+
+// Remember a user's search (deduped by normalized text), keeping only the newest few
+export async function recordSearch(userId, q) {
+  const query = q.trim().slice(0, 100);
+  const queryKey = normalizeText(query);
+  if (!queryKey) return;
+
+  try {
+    await RecentSearch.updateOne({ userId, queryKey }, { $set: { query, searchedAt: new Date() } }, { upsert: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err; // same query recorded concurrently
+  }
+
+  const stale = await RecentSearch.find({ userId }).sort({ searchedAt: -1 }).skip(RECENT_SEARCHES).select("_id");
+  if (stale.length) await RecentSearch.deleteMany({ _id: { $in: stale.map((s) => s._id) } });
+}
+
+export const recentSearches = (userId) =>
+  RecentSearch.find({ userId }).sort({ searchedAt: -1 }).limit(RECENT_SEARCHES).select("query searchedAt");
+
+/**
+ * Rebuild search tokens for songs matching `filter`. Needed after `updateMany`s on searchable
+ * fields, which skip the Song pre-save hook. Resolves to the number of songs updated.
+ */
+export async function refreshSearchTokens(filter) {
+  let updated = 0;
+  for await (const song of Song.find(filter).select("title artist album genre uploaderName").lean()) {
+    await Song.updateOne({ _id: song._id }, { $set: buildSearchTokens(song) });
+    updated++;
+  }
+  return updated;
+}
+
+// Re-denormalize a user's name onto their songs after a profile change
+export async function refreshUploaderName(user) {
+  await Song.updateMany({ uploadedBy: user._id }, { $set: { uploaderName: uploaderName(user) } });
+  return refreshSearchTokens({ uploadedBy: user._id });
+}
@@ -0,0 +1,121 @@
+// services/smartPlaylists.js
+import mongoose from "mongoose";
+import Song from "../models/Song.js";
+import Like from "../models/Like.js";
+import ListeningEvent from "../models/ListeningEvent.js";
+import Playlist from "../models/playlist.js";
+import { escapeRegex } from "../utils/regex.js";
+import { SONG_SORTS, TITLE_COLLATION } from "../utils/songQuery.js";
+import { listedFilter } from "../utils/songAccess.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COMPARE = {
+  eq: (a, b) => a === b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+};
+
+// How long evaluated tracks are reused before the rules run again (SMART_PLAYLIST_TTL_SECONDS)
+export function smartCacheTtlMs() {
+  const seconds = parseInt(process.env.SMART_PLAYLIST_TTL_SECONDS, 10);
+  return (Number.isInteger(seconds) && seconds >= 0 ? seconds : 10 * 60) * 1000;
+}
+
+// Song filter for one validated condition (see utils/smartRules.js); "me" is the playlist owner
+async function conditionFilter(condition, ownerId, now) {
+  const { field, op, value } = condition;
+  switch (field) {
+    case "genre":
+    case "artist":
+    case "album":
+    case "title": {
+      if (op === "contains") return { [field]: new RegExp(escapeRegex(value), "i") };
+      const exact = new RegExp(`^${escapeRegex(value)}$`, "i");
+      return { [field]: op === "is" ? exact : { $not: exact } };
+    }
+    case "tag":
+      return { tags: op === "is" ? value : { $ne: value } };
+    case "createdAt":
+      if (op === "inLast") return { createdAt: { $gte: new Date(now.getTime() - value * DAY_MS) } };
+      return { createdAt: { [op === "after" ? "$gt" : "$lt"]: new Date(value) } };
+    case "liked": {
+      const liked = await Like.distinct("songId", { userId: ownerId });
+      return { _id: value ? { $in: liked } : { $nin: liked } };
+    }
+    case "myPlays": {
+      const match = { userId: ownerId };
+      if (condition.days) match.listenedAt = { $gte: new Date(now.getTime() - condition.days * DAY_MS) };
+      const counts = await ListeningEvent.aggregate([{ $match: match }, { $group: { _id: "$songId", plays: { $sum: 1 } } }]);
+      const passes = (plays) => COMPARE[op](plays, value);
+      // songs never played count as 0 plays: when 0 passes, keep everything but the songs that fail
+      if (passes(0)) return { _id: { $nin: counts.filter((c) => !passes(c.plays)).map((c) => c._id) } };
+      return { _id: { $in: counts.filter((c) => passes(c.plays)).map((c) => c._id) } };
+    }
+    default: // duration, plays, likesCount, year
+      return { [field]: { [`$${op}`]: value } };
+  }
+}
+
+/**
+ * Run validated smart rules for the playlist owner and resolve to the matching song ids, in the
+ * rules' sort order and up to their limit. Only catalog songs and the owner's own uploads qualify.
+ */
+export async function evaluateSmartRules(rules, ownerId, { now = new Date() } = {}) {
+  const owner = new mongoose.Types.ObjectId(ownerId);
+  const parts = await Promise.all(rules.conditions.map((c) => conditionFilter(c, owner, now)));
+  const filter = {
+    $and: [rules.match === "any" ? { $or: parts } : { $and: parts }, { $or: [listedFilter(), { uploadedBy: owner }] }],
+  };
+
+  const query = Song.find(filter).sort(SONG_SORTS[rules.sort]).limit(rules.limit).select("_id");
+  if (rules.sort === "title") query.collation(TITLE_COLLATION);
+  return (await query).map((s) => s._id);
+}
+
+/**
+ * Track ids of a smart playlist: the cached result while it's fresh, otherwise the rules are
+ * evaluated again and the result stored on the playlist — unless its rules changed (or it stopped
+ * being smart) meanwhile, so a slow evaluation can't cache songs for rules that are gone.
+ */
+export async function smartPlaylistTrackIds(playlist, { now = new Date() } = {}) {
+  const cache = playlist.smartCache;
+  if (cache?.evaluatedAt && now - cache.evaluatedAt < smartCacheTtlMs()) return cache.songIds;
+
+  const songIds = await evaluateSmartRules(playlist.rules, playlist.userId, { now });
+  playlist.smartCache = { songIds, evaluatedAt: now };
+  await Playlist.updateOne(
+    { _id: playlist._id, type: "smart", rules: playlist.rules },
+    { $set: { smartCache: { songIds, evaluatedAt: now } } }
+  );
+  return songIds;
+}
+
+// Put a smart playlist's current songs in `tracks` (in memory only) so it reads like a static one.
+// `cachedOnly` (listings) takes the last evaluation as is, however old, and never evaluates the rules.
+export async function fillSmartTracks(playlist, { cachedOnly = false } = {}) {
+  if (playlist.type !== "smart") return playlist;
+  const songIds = cachedOnly ? playlist.smartCache?.songIds || [] : await smartPlaylistTrackIds(playlist);
+  playlist.tracks = songIds.map((songId) => ({ songId, addedAt: playlist.smartCache?.evaluatedAt }));
+  return playlist;
+}
+
+/**
+ * Turn a smart playlist into a static one holding its current songs (as last shown, or freshly
+ * evaluated if the cache is stale). Resolves to the updated playlist, or null if it wasn't smart anymore.
+ */
+export async function snapshotSmartPlaylist(playlist, userId) {
+  const songIds = await smartPlaylistTrackIds(playlist);
+  const addedAt = new Date();
+  return Playlist.findOneAndUpdate(
+    { _id: playlist._id, type: "smart" },
+    {
+      $set: { type: "static", tracks: songIds.map((songId) => ({ songId, addedAt, addedBy: userId })) },
+      $unset: { rules: 1, smartCache: 1 },
+      $inc: { version: 1 },
+    },
+    { new: true }
+  );
+}
@@ -0,0 +1,298 @@
+// services/songAssets.js
+import crypto from "crypto";
+import fs from "fs";
+import Song from "../models/Song.js";
+import User from "../models/User.js";
+import Waveform from "../models/Waveform.js";
+import Album from "../models/Album.js";
+import storage, { safeDelete } from "./storage/index.js";
+import { queueWaveform } from "./waveforms.js";
+import { linkSongEntities } from "./catalog.js";
+import { extractMetadata, extractFileMetadata, resolveSongFields, embeddedCover } from "../utils/audioMetadata.js";
+import { isValidVisibility, isValidReleaseAt, canView } from "../utils/songAccess.js";
+
+// Uploader name as stored on songs for search ("Display Name username")
+export const uploaderName = (user) =>
+  user ? [...new Set([user.displayName, user.username].filter(Boolean))].join(" ") : "";
+
+// Thrown when an upload is byte-identical to a song already in the catalog. `existing` is only
+// given (and sent back as `duplicateOf`) when the uploader may see that song.
+export class DuplicateSongError extends Error {
+  constructor(existing = null) {
+    super("This song has already been uploaded");
+    this.name = "DuplicateSongError";
+    this.status = 409;
+    if (existing) {
+      this.duplicateOf = { id: existing._id, title: existing.title, artist: existing.artist, inTrash: Boolean(existing.deletedAt) };
+    }
+  }
+}
+
+// Thrown when the song's audio changed between reading it and writing the replacement
+export class AudioVersionConflictError extends Error {
+  constructor() {
+    super("The song's audio was changed by another request, try again");
+    this.name = "AudioVersionConflictError";
+    this.status = 409;
+  }
+}
+
+export const contentHash = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// Uploaded audio is either in memory (`buffer`) or, when too big for that, a temp file (`path`)
+async function fileHash(file) {
+  if (file.buffer) return contentHash(file.buffer);
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(file.path)) hash.update(chunk);
+  return hash.digest("hex");
+}
+
+const fileMetadata = (file) =>
+  file.buffer
+    ? extractMetadata(file.buffer, { mimetype: file.mimetype, filename: file.originalname })
+    : extractFileMetadata(file.path);
+
+const storeAudio = (file) =>
+  storage.put(file.buffer || fs.createReadStream(file.path), {
+    kind: "audio",
+    folder: "songs",
+    filename: file.originalname,
+    contentType: file.mimetype,
+  });
+
+// Write rejected by the unique contentHash index (a concurrent upload of the same file won)
+export const isContentHashConflict = (err) => err?.code === 11000 && Boolean(err.keyPattern?.contentHash);
+
+/**
+ * DuplicateSongError for the song (trashed ones included) holding `hash`, or null if there's none.
+ * Other people's private, unreleased or trashed songs stay anonymous.
+ */
+async function duplicateSongError(hash, userId) {
+  const existing = await Song.findOne({ contentHash: hash })
+    .select("title artist visibility releaseAt uploadedBy deletedAt")
+    .setOptions({ withDeleted: true });
+  if (!existing) return null;
+
+  const user = await User.findById(userId).select("roles");
+  const viewer = user && { id: String(user._id), roles: user.roles };
+  // a trashed song is only its uploader's (and admins') business, whatever its visibility
+  const visible = canView(existing.deletedAt ? { ...existing.toObject(), visibility: "private" } : existing, viewer);
+  return new DuplicateSongError(visible ? existing : null);
+}
+
+// Store a cover image ({ buffer, filename, contentType }) in the covers folder
+export function uploadCover({ buffer, filename, contentType }) {
+  return storage.put(buffer, { kind: "image", folder: "covers", filename, contentType });
+}
+
+/**
+ * Song creation pipeline shared by every upload route: read tags, store the audio, store a
+ * cover, link Artist/Album entities and save the Song; waveform peaks are queued for the background.
+ * Anything stored is removed again if a later step fails.
+ * Throws DuplicateSongError for exact duplicates of an existing song (before storing anything, or
+ * after cleaning up when a concurrent upload of the same file got saved first).
+ *
+ * - `file`: { buffer | path, originalname, mimetype } (multer's memory or disk shape; a temp file
+ *   keeps its extension so the format can be told)
+ * - `body`: explicit form fields, which win over parsed tags (plus `visibility`, default public, and `releaseAt`)
+ * - `cover`: optional cover file; falls back to embedded artwork
+ * - `sharedCover`: an already stored { url, key } owned by the caller (bulk album cover)
+ */
+export async function createSongFromFile({ file, body = {}, cover, sharedCover, userId }) {
+  const hash = await fileHash(file);
+  // trashed songs count too, so restoring one can't create a duplicate
+  const duplicate = await duplicateSongError(hash, userId);
+  if (duplicate) throw duplicate;
+
+  const meta = await fileMetadata(file);
+  const fields = resolveSongFields(body, meta, file.originalname);
+
+  const songUpload = await storeAudio(file);
+
+  let coverUpload = null;
+  let song;
+  try {
+    if (!sharedCover) {
+      const source = cover || embeddedCover(meta);
+      if (source) coverUpload = await uploadCover(source);
+    }
+    const finalCover = sharedCover || coverUpload;
+
+    const uploader = await User.findById(userId).select("username displayName");
+    const doc = {
+      ...fields,
+      cover: finalCover?.url || "",
+      uploaderName: uploaderName(uploader),
+      visibility: isValidVisibility(body.visibility) ? body.visibility : "public",
+      releaseAt: body.releaseAt && isValidReleaseAt(body.releaseAt) ? new Date(body.releaseAt) : null,
+    };
+    await linkSongEntities(doc);
+
+    song = await Song.create({
+      ...doc,
+      coverPublicId: finalCover?.key || "",
+      url: songUpload.url,
+      publicId: songUpload.key,
+      size: songUpload.size,
+      contentHash: hash,
+      uploadedBy: userId,
+    });
+  } catch (err) {
+    await safeDelete(songUpload.key, { kind: "audio" });
+    await safeDelete(coverUpload?.key, { kind: "image" });
+    if (isContentHashConflict(err)) throw (await duplicateSongError(hash, userId)) || new DuplicateSongError();
+    throw err;
+  }
+
+  queueWaveform(song);
+  return song;
+}
+
+// Cover key of a song (legacy records only kept the URL)
+const coverKey = (song) => song.coverPublicId || storage.keyFromUrl(song.cover);
+
+/**
+ * Delete a song's cover from storage unless another song (trashed ones included) or an album
+ * still uses it (bulk albums share one, and albums borrow their first track's cover).
+ */
+export async function releaseCover(song) {
+  if (!song.cover) return false;
+  const shared =
+    (await Song.exists({ _id: { $ne: song._id }, cover: song.cover }).setOptions({ withDeleted: true })) ||
+    (await Album.exists({ cover: song.cover }));
+  if (shared) return false;
+  return safeDelete(coverKey(song), { kind: "image" });
+}
+
+// Remove a song's audio (current and archived versions) and (unshared) cover from storage,
+// plus data derived from the audio
+export async function deleteSongAssets(song) {
+  await safeDelete(song.publicId, { kind: "audio" });
+  for (const version of song.audioVersions || []) await safeDelete(version.publicId, { kind: "audio" });
+  await releaseCover(song);
+  await Waveform.deleteOne({ songId: song._id });
+}
+
+/* ──────────────────────────────── AUDIO VERSIONS ──────────────────────────────── */
+
+// Previous files kept per song for rollback (AUDIO_VERSIONS_KEPT, default 3; 0 = delete right away)
+function versionsKept() {
+  const kept = parseInt(process.env.AUDIO_VERSIONS_KEPT, 10);
+  return Number.isInteger(kept) && kept >= 0 ? kept : 3;
+}
+
+// History entry for the song's current audio
+const archiveEntry = (song, userId) => ({
+  version: song.audioVersion || 1,
+  url: song.url,
+  publicId: song.publicId,
+  size: song.size,
+  contentHash: song.contentHash,
+  duration: song.duration,
+  uploadedAt: song.audioUpdatedAt || song.createdAt,
+  archivedAt: new Date(),
+  archivedBy: userId,
+});
+
+/**
+ * Make `current` the song's audio and `history` its archived versions in one conditional write
+ * (so two concurrent swaps can't both win), then delete files that fell off the bounded history.
+ * Throws DuplicateSongError if another song holds the new file's hash. Resolves to the updated song.
+ */
+async function swapAudio(song, current, history, userId) {
+  const kept = versionsKept();
+  const pruned = history.slice(0, Math.max(0, history.length - kept));
+  const retained = history.slice(pruned.length);
+
+  const { contentHash: hash, ...fields } = current;
+  // a new file also ends any legacy duplicate marking (see the metadata backfill)
+  const update = { $set: { ...fields, audioVersions: retained }, $unset: { duplicateHash: 1 } };
+  if (hash) update.$set.contentHash = hash;
+  else update.$unset.contentHash = 1; // legacy file never hashed
+
+  // every swap changes publicId, so it doubles as the version check
+  let result;
+  try {
+    result = await Song.updateOne({ _id: song._id, publicId: song.publicId }, update);
+  } catch (err) {
+    if (isContentHashConflict(err)) throw (await duplicateSongError(hash, userId)) || new DuplicateSongError();
+    throw err;
+  }
+  if (!result.matchedCount) throw new AudioVersionConflictError();
+
+  for (const version of pruned) await safeDelete(version.publicId, { kind: "audio" });
+  return Song.findById(song._id);
+}
+
+// The old peaks belong to the old file: drop them and build new ones in the background
+async function refreshWaveform(song) {
+  await Waveform.deleteOne({ songId: song._id });
+  queueWaveform(song);
+}
+
+/**
+ * Replace a song's audio file, keeping its id, stats, likes, playlists and history.
+ * The old file is archived as a version (or deleted when no versions are kept).
+ * Throws DuplicateSongError if the file is already in the catalog (including this song's current file).
+ */
+export async function replaceSongAudio(song, file, userId) {
+  const hash = await fileHash(file);
+  const duplicate = await duplicateSongError(hash, userId);
+  if (duplicate) throw duplicate;
+
+  const meta = await fileMetadata(file);
+  const upload = await storeAudio(file);
+
+  let updated;
+  try {
+    const version = Math.max(song.audioVersion || 1, ...song.audioVersions.map((v) => v.version)) + 1;
+    updated = await swapAudio(
+      song,
+      {
+        url: upload.url,
+        publicId: upload.key,
+        size: upload.size,
+        contentHash: hash,
+        duration: meta.duration || 0,
+        audioVersion: version,
+        audioUpdatedAt: new Date(),
+      },
+      [...song.audioVersions.map((v) => v.toObject()), archiveEntry(song, userId)],
+      userId
+    );
+  } catch (err) {
+    await safeDelete(upload.key, { kind: "audio" });
+    throw err;
+  }
+
+  await refreshWaveform(updated);
+  return updated;
+}
+
+/**
+ * Make an archived version the song's audio again; the current file is archived in its place.
+ * Resolves to the updated song, or null if there's no such version. Throws DuplicateSongError if
+ * another song has since been uploaded with that version's file.
+ */
+export async function rollbackSongAudio(song, version, userId) {
+  const target = song.audioVersions.find((v) => v.version === version);
+  if (!target) return null;
+
+  const updated = await swapAudio(
+    song,
+    {
+      url: target.url,
+      publicId: target.publicId,
+      size: target.size,
+      contentHash: target.contentHash,
+      duration: target.duration,
+      audioVersion: target.version,
+      audioUpdatedAt: new Date(),
+    },
+    [...song.audioVersions.filter((v) => v !== target).map((v) => v.toObject()), archiveEntry(song, userId)],
+    userId
+  );
+
+  await refreshWaveform(updated);
+  return updated;
+}
@@ -0,0 +1,93 @@
+// services/storage/cloudinary.js
+import fetch from "node-fetch";
+import cloudinary from "../../config/cloudinary.js";
+
+// Delivery type for audio: "upload" (public, legacy default) or "authenticated" (signed URLs only)
+const AUDIO_TYPE = process.env.CLOUDINARY_AUDIO_TYPE || "upload";
+
+const resourceType = (kind) => (kind === "audio" ? "video" : "image");
+const deliveryType = (kind) => (kind === "audio" ? AUDIO_TYPE : "upload");
+
+function put(data, { kind = "image", folder, transform } = {}) {
+  const options = {
+    resource_type: resourceType(kind),
+    folder,
+    type: deliveryType(kind),
+  };
+  if (options.type === "upload") options.access_mode = "public";
+  if (transform) options.transformation = [transform];
+
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(options, (error, result) => {
+      if (error) return reject(new Error(error.message || "Cloudinary upload failed"));
+      resolve({
+        key: result.public_id,
+        url: result.secure_url,
+        size: result.bytes ?? data.length ?? 0,
+        contentType: result.format ? `${kind}/${result.format}` : undefined,
+      });
+    });
+    if (Buffer.isBuffer(data)) return stream.end(data);
+    data.on("error", (err) => {
+      stream.destroy(err);
+      reject(err);
+    });
+    data.pipe(stream);
+  });
+}
+
+async function remove(key, { kind = "image" } = {}) {
+  await cloudinary.uploader.destroy(key, {
+    resource_type: resourceType(kind),
+    type: deliveryType(kind),
+    invalidate: true,
+  });
+}
+
+function signedUrl(key, { kind = "image", expiresIn = 300 } = {}) {
+  return cloudinary.utils.private_download_url(key, "", {
+    resource_type: resourceType(kind),
+    type: deliveryType(kind),
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+  });
+}
+
+async function stat(key, { kind = "image" } = {}) {
+  try {
+    const info = await cloudinary.api.resource(key, {
+      resource_type: resourceType(kind),
+      type: deliveryType(kind),
+    });
+    return { size: info.bytes, contentType: info.format ? `${kind}/${info.format}` : undefined };
+  } catch (err) {
+    if (err?.error?.http_code === 404 || err?.http_code === 404) return null;
+    throw err;
+  }
+}
+
+async function read(key, { kind = "image", start, end } = {}) {
+  // Signed delivery URL goes through the CDN, which honours byte ranges
+  const url = cloudinary.url(key, {
+    resource_type: resourceType(kind),
+    type: deliveryType(kind),
+    sign_url: true,
+    secure: true,
+  });
+  const headers = start !== undefined ? { Range: `bytes=${start}-${end ?? ""}` } : {};
+  const res = await fetch(url, { headers });
+  if (!res.ok) throw new Error(`Cloudinary read failed (${res.status})`);
+  // a 200 means the range was ignored and the body is the whole file
+  return {
+    body: res.body,
+    contentType: res.headers.get("content-type") || undefined,
+    partial: start !== undefined && res.status === 206,
+  };
+}
+
+// Recover a public_id from a stored delivery URL (for records saved before keys were tracked)
+function keyFromUrl(url) {
+  const match = /res\.cloudinary\.com\/[^/]+\/(?:image|video|raw)\/[^/]+\/(?:s--[^/]+--\/)?(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?(?:\?.*)?$/i.exec(url || "");
+  return match ? match[1] : null;
+}
+
+export default { name: "cloudinary", put, delete: remove, signedUrl, stat, read, keyFromUrl };
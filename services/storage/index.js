@@ -0,0 +1,49 @@
+// services/storage/index.js
+import dotenv from "dotenv";
+import cloudinaryDriver from "./cloudinary.js";
+import localDriver from "./local.js";
+
+dotenv.config();
+
+/**
+ * Storage service used by every upload/delete path. Drivers implement:
+ *   put(data, { kind, folder, filename, contentType, transform }) → { key, url, size, contentType }
+ *     (`data`: a Buffer, or a Readable for files too big to hold in memory)
+ *   delete(key, { kind })
+ *   signedUrl(key, { kind, expiresIn }) → short-lived URL
+ *   stat(key, { kind }) → { size, contentType } | null
+ *   read(key, { kind, start, end }) → { body: Readable, contentType, partial } (`partial`: body is just start–end)
+ *   keyFromUrl(url) → key | null (for records that only kept a URL)
+ * `kind` is "audio" or "image". Select the driver with STORAGE_DRIVER=cloudinary|local.
+ */
+const drivers = { cloudinary: cloudinaryDriver, local: localDriver };
+
+const driverName = process.env.STORAGE_DRIVER || "cloudinary";
+const storage = drivers[driverName];
+
+if (!storage) {
+  console.error(`Unknown STORAGE_DRIVER "${driverName}" (expected: ${Object.keys(drivers).join(", ")})`);
+  process.exit(1);
+}
+
+// Delete without failing the caller — storage cleanup is best-effort everywhere
+export async function safeDelete(key, options) {
+  if (!key) return false;
+  try {
+    await storage.delete(key, options);
+    return true;
+  } catch (err) {
+    console.warn(`⚠️ Storage delete failed (${key}):`, err.message);
+    return false;
+  }
+}
+
+// Read a whole stored file into memory (metadata parsing, backfills, …)
+export async function readBuffer(key, options) {
+  const { body } = await storage.read(key, options);
+  const chunks = [];
+  for await (const chunk of body) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+export default storage;
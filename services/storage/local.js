@@ -0,0 +1,133 @@
+// services/storage/local.js
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import express from "express";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Files live under <root>/public (images, served as-is) and <root>/private (audio, signed URLs only)
+const ROOT = path.resolve(process.env.LOCAL_STORAGE_DIR || "./storage");
+// May be absolute (e.g. http://localhost:5000/media) so links work from the frontend origin
+const BASE_URL = (process.env.LOCAL_STORAGE_BASE_URL || "/media").replace(/\/$/, "");
+const MOUNT_PATH = new URL(BASE_URL, "http://localhost").pathname;
+const { STREAM_SECRET = "change-me" } = process.env;
+
+const MIME_TYPES = {
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".mp4": "audio/mp4",
+  ".aac": "audio/aac",
+  ".ogg": "audio/ogg",
+  ".oga": "audio/ogg",
+  ".opus": "audio/ogg",
+  ".flac": "audio/flac",
+  ".wav": "audio/wav",
+  ".webm": "audio/webm",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+const EXTENSIONS = Object.fromEntries(Object.entries(MIME_TYPES).reverse().map(([ext, type]) => [type, ext]));
+
+// Resolve a key inside ROOT, refusing anything that escapes it
+function resolveKey(key) {
+  const full = path.resolve(ROOT, key);
+  if (!full.startsWith(ROOT + path.sep)) throw new Error("Invalid storage key");
+  return full;
+}
+
+function sign(key, expires) {
+  return crypto.createHmac("sha256", STREAM_SECRET).update(`${key}:${expires}`).digest("hex");
+}
+
+async function put(data, { kind = "image", folder = "misc", filename = "", contentType = "" } = {}) {
+  const fileExt = path.extname(filename).toLowerCase();
+  const ext = MIME_TYPES[fileExt] ? fileExt : EXTENSIONS[contentType] || "";
+  const key = path.posix.join(kind === "audio" ? "private" : "public", folder, `${crypto.randomUUID()}${ext}`);
+  const full = resolveKey(key);
+
+  await fs.promises.mkdir(path.dirname(full), { recursive: true });
+  if (Buffer.isBuffer(data)) await fs.promises.writeFile(full, data);
+  else await pipeline(data, fs.createWriteStream(full));
+
+  return {
+    key,
+    url: `${BASE_URL}/${key}`, // private keys need signedUrl() to actually be fetched
+    size: Buffer.isBuffer(data) ? data.length : (await fs.promises.stat(full)).size,
+    contentType: MIME_TYPES[ext] || contentType || undefined,
+  };
+}
+
+async function remove(key) {
+  await fs.promises.rm(resolveKey(key), { force: true });
+}
+
+function signedUrl(key, { expiresIn = 300 } = {}) {
+  if (key.startsWith("public/")) return `${BASE_URL}/${key}`;
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${BASE_URL}/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+}
+
+async function stat(key) {
+  try {
+    const info = await fs.promises.stat(resolveKey(key));
+    return { size: info.size, contentType: MIME_TYPES[path.extname(key).toLowerCase()] };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function read(key, { start, end } = {}) {
+  const full = resolveKey(key);
+  await fs.promises.access(full);
+  return {
+    body: fs.createReadStream(full, start !== undefined ? { start, end } : {}),
+    contentType: MIME_TYPES[path.extname(key).toLowerCase()],
+    partial: start !== undefined,
+  };
+}
+
+function keyFromUrl(url) {
+  if (!url || !url.startsWith(`${BASE_URL}/`)) return null;
+  return decodeURIComponent(url.slice(BASE_URL.length + 1).split("?")[0]);
+}
+
+// Serves public files directly and private files only with a valid, unexpired signature
+function middleware() {
+  const router = express.Router();
+
+  // Helmet defaults to same-origin; covers and avatars are loaded by the frontend origin
+  router.use((req, res, next) => {
+    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+    next();
+  });
+
+  router.use("/private", (req, res, next) => {
+    const key = `private${decodeURIComponent(req.path)}`;
+    const expires = parseInt(req.query.expires, 10);
+    const signature = String(req.query.signature || "");
+    const expected = sign(key, expires);
+
+    if (
+      !expires ||
+      expires < Date.now() / 1000 ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      return res.status(403).json({ error: "Invalid or expired link" });
+    }
+    next();
+  });
+  router.use(express.static(ROOT, { index: false, dotfiles: "deny" }));
+
+  return router;
+}
+
+export default { name: "local", root: ROOT, mountPath: MOUNT_PATH, put, delete: remove, signedUrl, stat, read, keyFromUrl, middleware };
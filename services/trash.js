@@ -0,0 +1,41 @@
+// services/trash.js
+import Song from "../models/Song.js";
+import Playlist from "../models/playlist.js";
+import PlaylistFollow from "../models/PlaylistFollow.js";
+import { purgeSong } from "./lifecycle.js";
+import { trashRetentionDays } from "../utils/softDelete.js";
+
+const PURGE_BATCH = 200;
+
+/**
+ * Permanently remove songs (with everything referencing them, see purgeSong) and playlists that
+ * have been in the trash longer than the retention window. Songs restored or purged by someone
+ * else meanwhile are skipped.
+ */
+export async function purgeExpiredTrash({ now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - trashRetentionDays() * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+  const report = { songsPurged: 0, playlistsPurged: 0, failed: [] };
+
+  let songs;
+  do {
+    songs = await Song.find(expired).limit(PURGE_BATCH);
+    for (const song of songs) {
+      try {
+        // re-check under the same filter: it may have been restored (or purged) meanwhile
+        if (!(await Song.exists({ _id: song._id, ...expired }))) continue;
+        await purgeSong(song);
+        report.songsPurged++;
+      } catch (err) {
+        report.failed.push({ id: song._id, title: song.title, error: err.message });
+      }
+    }
+  } while (songs.length === PURGE_BATCH && report.failed.length < PURGE_BATCH);
+
+  const playlistIds = await Playlist.distinct("_id", expired);
+  const playlists = await Playlist.deleteMany({ _id: { $in: playlistIds }, ...expired });
+  await PlaylistFollow.deleteMany({ playlistId: { $in: playlistIds } });
+  report.playlistsPurged = playlists.deletedCount;
+
+  return report;
+}
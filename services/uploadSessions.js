@@ -0,0 +1,73 @@
+// services/uploadSessions.js
+import fs from "fs";
+import { pipeline } from "stream/promises";
+import UploadSession from "../models/UploadSession.js";
+import UploadChunk from "../models/UploadChunk.js";
+
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // idle sessions expire after a day
+
+// The chunk isn't at the session's current offset (stale retry or a concurrent PATCH); carries the offset to resume from
+export class UploadOffsetError extends Error {
+  constructor(offset) {
+    super("Offset mismatch");
+    this.name = "UploadOffsetError";
+    this.status = 409;
+    this.offset = offset;
+  }
+}
+
+// Finalize found a gap in the stored chunks (a claimed chunk that never got written)
+export class MissingChunksError extends Error {
+  constructor() {
+    super("Upload is missing chunks");
+    this.name = "MissingChunksError";
+    this.status = 409;
+  }
+}
+
+/**
+ * Store `chunk` at `offset` of an uploading session. The offset is claimed first (the session
+ * moves past the chunk in one conditional write), so of two requests for the same offset only
+ * the one that advanced it writes the chunk; if storing the chunk fails, the claim is undone.
+ * Throws UploadOffsetError when `offset` isn't (or is no longer) the session's. Resolves to the updated session.
+ */
+export async function appendChunk(session, offset, chunk) {
+  if (offset !== session.offset) throw new UploadOffsetError(session.offset);
+
+  const end = offset + chunk.length;
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, offset, status: "uploading" },
+    { $set: { offset: end, expiresAt: new Date(Date.now() + SESSION_TTL_MS) } },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await UploadSession.findById(session._id).select("offset");
+    throw new UploadOffsetError(current?.offset ?? 0);
+  }
+
+  try {
+    // upsert: replaces whatever an earlier, rolled-back attempt may have left at this offset
+    await UploadChunk.updateOne({ sessionId: session._id, offset }, { $set: { data: chunk } }, { upsert: true });
+  } catch (err) {
+    await UploadSession.updateOne({ _id: session._id, offset: end }, { $set: { offset } });
+    throw err;
+  }
+  return claimed;
+}
+
+/**
+ * Write a session's chunks to `filePath` in offset order, streaming them from a cursor so only one
+ * chunk is in memory at a time. Throws MissingChunksError if they don't add up to the whole file.
+ */
+export async function writeSessionFile(session, filePath) {
+  const chunks = UploadChunk.find({ sessionId: session._id }).sort({ offset: 1 }).cursor();
+  await pipeline(async function* () {
+    let expected = 0;
+    for await (const chunk of chunks) {
+      if (chunk.offset !== expected) throw new MissingChunksError();
+      expected += chunk.data.length;
+      yield chunk.data;
+    }
+    if (expected !== session.size) throw new MissingChunksError();
+  }, fs.createWriteStream(filePath));
+}
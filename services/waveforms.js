@@ -0,0 +1,60 @@
+// services/waveforms.js
+import Waveform from "../models/Waveform.js";
+import { readBuffer } from "./storage/index.js";
+import { computePeaks } from "../utils/waveform.js";
+
+/**
+ * Compute and store a song's waveform peaks (reads the audio from storage unless `buffer` is given).
+ * Formats we can't decode are recorded as "unsupported" so they aren't retried on every request.
+ */
+export async function generateWaveform(song, buffer) {
+  const audio = buffer || (await readBuffer(song.publicId, { kind: "audio" }));
+  const result = computePeaks(audio);
+
+  const update = result
+    ? { status: "ready", peaks: result.peaks, sampleRate: result.sampleRate }
+    : { status: "unsupported", peaks: [], sampleRate: 0 };
+  update.audioVersion = song.audioVersion || 1;
+
+  return Waveform.findOneAndUpdate({ songId: song._id }, { $set: update }, { upsert: true, new: true });
+}
+
+// Whether `waveform` was made from the song's current audio (a replace or rollback needs new peaks)
+export const isCurrentWaveform = (waveform, song) => (waveform.audioVersion || 1) === (song.audioVersion || 1);
+
+// Songs waiting for background generation (songId → song), decoded one at a time
+const queue = new Map();
+const MAX_QUEUED = 100;
+let draining = false;
+
+async function drainQueue() {
+  draining = true;
+  // entries queued while draining are picked up by the same loop
+  for (const [id, song] of queue) {
+    try {
+      await generateWaveform(song);
+    } catch (err) {
+      console.warn(`⚠️ Waveform generation failed for ${id}:`, err.message);
+      // remembered for this audio version, so requests stop re-queueing (and re-downloading) it
+      await Waveform.updateOne(
+        { songId: song._id },
+        { $set: { status: "failed", peaks: [], sampleRate: 0, audioVersion: song.audioVersion || 1 } },
+        { upsert: true }
+      ).catch((writeErr) => console.warn(`⚠️ Could not record waveform failure for ${id}:`, writeErr.message));
+    }
+    queue.delete(id);
+  }
+  draining = false;
+}
+
+/**
+ * Generate a song's waveform in the background instead of inside a request (`song` needs
+ * publicId and audioVersion). Already queued songs are ignored, and so is everything once
+ * MAX_QUEUED are waiting (the next request retries).
+ */
+export function queueWaveform(song) {
+  const id = String(song._id);
+  if (queue.has(id) || queue.size >= MAX_QUEUED) return;
+  queue.set(id, song);
+  if (!draining) drainQueue();
+}
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLrc, lrcToText } from "../utils/lrc.js";
+
+test("parseLrc reads id tags and timed lines in time order", () => {
+  const { tags, lines } = parseLrc("[ti:Song]\r\n[AR: Someone ]\n[00:12.50]second\n[00:01]first\n\n[01:02.123]third");
+  assert.deepEqual(tags, { ti: "Song", ar: "Someone" });
+  assert.deepEqual(lines, [
+    { timeMs: 1000, line: "first" },
+    { timeMs: 12500, line: "second" },
+    { timeMs: 62123, line: "third" },
+  ]);
+});
+
+test("parseLrc repeats a line at each of its timestamps", () => {
+  const { lines } = parseLrc("[00:10][00:30:5]chorus");
+  assert.deepEqual(lines, [
+    { timeMs: 10000, line: "chorus" },
+    { timeMs: 30500, line: "chorus" },
+  ]);
+});
+
+test("parseLrc strips word timings", () => {
+  assert.equal(parseLrc("[00:01.00]<00:01.00>Hello <00:01.50>world").lines[0].line, "Hello world");
+});
+
+test("parseLrc applies the offset tag without going below zero", () => {
+  const { lines } = parseLrc("[offset:+1500]\n[00:01]early\n[00:05]later");
+  assert.deepEqual(
+    lines.map((l) => l.timeMs),
+    [0, 3500]
+  );
+});
+
+test("parseLrc tolerates empty input", () => {
+  assert.deepEqual(parseLrc(), { tags: {}, lines: [] });
+  assert.deepEqual(parseLrc(null).lines, []);
+});
+
+test("lrcToText keeps the non-empty lines in order", () => {
+  assert.equal(lrcToText("[00:02]two\n[00:01]one\n[00:03]\n[ti:x]"), "one\ntwo");
+});
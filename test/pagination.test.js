@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  encodeCursor,
+  decodeCursor,
+  pageParams,
+  paginate,
+  offsetFromCursor,
+  offsetPageInfo,
+  PaginationError,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+} from "../utils/pagination.js";
+
+test("cursors round-trip dates and ObjectIds", () => {
+  const id = new mongoose.Types.ObjectId();
+  const date = new Date("2024-05-01T10:00:00Z");
+  const [d, o, n, s] = decodeCursor(encodeCursor("sig", [date, id, 3, "x"]), "sig");
+  assert.ok(d instanceof Date && d.getTime() === date.getTime());
+  assert.ok(o instanceof mongoose.Types.ObjectId && o.equals(id));
+  assert.equal(n, 3);
+  assert.equal(s, "x");
+});
+
+test("decodeCursor rejects garbage and cursors made for another sort", () => {
+  assert.throws(() => decodeCursor("not-a-cursor", "sig"), PaginationError);
+  assert.throws(() => decodeCursor(encodeCursor("other", [1]), "sig"), PaginationError);
+  const badValue = Buffer.from(JSON.stringify({ s: "sig", v: [{ o: "nope" }] })).toString("base64url");
+  assert.throws(() => decodeCursor(badValue, "sig"), PaginationError);
+});
+
+test("pageParams defaults, caps and validates the limit", () => {
+  assert.deepEqual(pageParams({}), { limit: DEFAULT_PAGE_SIZE, cursor: null });
+  assert.equal(pageParams({ limit: "500" }).limit, MAX_PAGE_SIZE);
+  assert.equal(pageParams({ limit: "80" }, { maxLimit: 50 }).limit, 50);
+  assert.equal(pageParams({ cursor: "abc" }).cursor, "abc");
+  for (const limit of ["0", "-1", "2.5", "ten"]) assert.throws(() => pageParams({ limit }), PaginationError);
+  assert.throws(() => pageParams({ cursor: ["a", "b"] }), PaginationError);
+});
+
+test("offset cursors", () => {
+  assert.equal(offsetFromCursor(null), 0);
+  assert.deepEqual(offsetPageInfo(0, 10, 10), { next: null, hasMore: false, limit: 10 });
+  const { next, hasMore } = offsetPageInfo(10, 10, 25);
+  assert.ok(hasMore);
+  assert.equal(offsetFromCursor(next), 20);
+  assert.throws(() => offsetFromCursor(encodeCursor("offset", [-1])), PaginationError);
+  assert.throws(() => offsetFromCursor(encodeCursor("createdAt:-1", [0])), PaginationError);
+});
+
+// Enough of a Mongoose query for paginate: and/sort/limit over an in-memory list
+function fakeQuery(docs) {
+  const filters = [];
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, cond]) => {
+      if (key === "$or") return cond.some((f) => matches(doc, f));
+      if (cond?.$gt !== undefined) return doc[key] > cond.$gt;
+      if (cond?.$lt !== undefined) return doc[key] < cond.$lt;
+      return doc[key] === cond;
+    });
+  const query = {
+    and: (conds) => (filters.push(...conds), query),
+    sort: () => query,
+    limit: async (n) => docs.filter((d) => filters.every((f) => matches(d, f))).slice(0, n),
+  };
+  return query;
+}
+
+test("paginate walks a keyset order without gaps or repeats", async () => {
+  // plays desc, _id asc, with ties on plays
+  const docs = [5, 5, 4, 4, 4, 2, 1].map((plays, i) => ({ plays, _id: i }));
+  const sort = { plays: -1, _id: 1 };
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const { items, pageInfo } = await paginate(fakeQuery(docs), { sort, limit: 3, cursor });
+    seen.push(...items.map((d) => d._id));
+    assert.equal(pageInfo.hasMore, pageInfo.next !== null);
+    cursor = pageInfo.next;
+  } while (cursor);
+  assert.deepEqual(seen, [0, 1, 2, 3, 4, 5, 6]);
+});
+
+test("paginate refuses a cursor from another sort", async () => {
+  const cursor = encodeCursor("createdAt:-1,_id:-1", [new Date(), 1]);
+  await assert.rejects(paginate(fakeQuery([]), { sort: { plays: -1, _id: 1 }, limit: 3, cursor }), PaginationError);
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Playlist from "../models/playlist.js";
+import {
+  insertEntries,
+  removeEntries,
+  moveEntry,
+  reorderEntries,
+  editPlaylistTracks,
+  PlaylistEditError,
+  PlaylistVersionConflictError,
+  MAX_PLAYLIST_TRACKS,
+} from "../services/playlistTracks.js";
+
+const entry = (songId) => ({ songId });
+const ids = (tracks) => tracks.map((t) => t.songId);
+const tracks = ["a", "b", "c", "d"].map(entry);
+
+test("insertEntries appends by default or inserts before a position", () => {
+  assert.deepEqual(ids(insertEntries(tracks, [entry("x")])), ["a", "b", "c", "d", "x"]);
+  assert.deepEqual(ids(insertEntries(tracks, [entry("x"), entry("y")], 0)), ["x", "y", "a", "b", "c", "d"]);
+  assert.deepEqual(ids(insertEntries(tracks, [entry("x")], 2)), ["a", "b", "x", "c", "d"]);
+  for (const position of [-1, 5, 1.5, "1"]) assert.throws(() => insertEntries(tracks, [], position), PlaylistEditError);
+});
+
+test("removeEntries drops positions and every entry of the given songs", () => {
+  const withRepeat = [...tracks, entry("b")];
+  assert.deepEqual(ids(removeEntries(withRepeat, { positions: [0, 3] })), ["b", "c", "b"]);
+  assert.deepEqual(ids(removeEntries(withRepeat, { songIds: ["b"] })), ["a", "c", "d"]);
+  assert.deepEqual(ids(removeEntries(withRepeat, { positions: [0], songIds: ["d"] })), ["b", "c", "b"]);
+  assert.throws(() => removeEntries(tracks, { positions: [4] }), PlaylistEditError);
+});
+
+test("moveEntry moves an entry to its new index", () => {
+  assert.deepEqual(ids(moveEntry(tracks, 0, 3)), ["b", "c", "d", "a"]);
+  assert.deepEqual(ids(moveEntry(tracks, 3, 1)), ["a", "d", "b", "c"]);
+  assert.deepEqual(ids(moveEntry(tracks, 2, 2)), ["a", "b", "c", "d"]);
+  assert.throws(() => moveEntry(tracks, 4, 0), PlaylistEditError);
+  assert.throws(() => moveEntry(tracks, 0, 4), PlaylistEditError);
+  assert.deepEqual(ids(tracks), ["a", "b", "c", "d"]); // input left alone
+});
+
+test("reorderEntries needs a permutation of every position", () => {
+  assert.deepEqual(ids(reorderEntries(tracks, [2, 0, 1, 3])), ["c", "a", "b", "d"]);
+  assert.throws(() => reorderEntries(tracks, [0, 1, 2]), PlaylistEditError);
+  assert.throws(() => reorderEntries(tracks, [0, 1, 1, 2]), /appears twice/);
+  assert.throws(() => reorderEntries(tracks, [0, 1, 2, 4]), PlaylistEditError);
+  assert.throws(() => reorderEntries(tracks, "0,1,2,3"), PlaylistEditError);
+});
+
+// A loaded playlist as editPlaylistTracks sees it
+const loadedPlaylist = (version, type = "static") => ({
+  _id: "p1",
+  type,
+  version,
+  tracks: tracks.map((t) => ({ toObject: () => ({ ...t }) })),
+});
+
+test("editPlaylistTracks writes the edit conditioned on the version it read", async (t) => {
+  const updated = { version: 4 };
+  const write = t.mock.method(Playlist, "findOneAndUpdate", async () => updated);
+
+  assert.equal(await editPlaylistTracks(loadedPlaylist(3), 3, (current) => moveEntry(current, 0, 1)), updated);
+  const [filter, update] = write.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: "p1", version: 3 });
+  assert.deepEqual(ids(update.$set.tracks), ["b", "a", "c", "d"]);
+  assert.deepEqual(update.$inc, { version: 1 });
+});
+
+test("editPlaylistTracks matches unversioned playlists on a missing version", async (t) => {
+  const write = t.mock.method(Playlist, "findOneAndUpdate", async () => ({ version: 1 }));
+  await editPlaylistTracks(loadedPlaylist(undefined), undefined, (current) => current);
+  assert.deepEqual(write.mock.calls[0].arguments[0].version, { $in: [0, null] });
+});
+
+test("editPlaylistTracks refuses a stale expected version without writing", async (t) => {
+  const write = t.mock.method(Playlist, "findOneAndUpdate", async () => ({}));
+  await assert.rejects(
+    editPlaylistTracks(loadedPlaylist(5), 4, (current) => current),
+    (err) => err instanceof PlaylistVersionConflictError && err.version === 5 && err.status === 409
+  );
+  assert.equal(write.mock.callCount(), 0);
+});
+
+test("editPlaylistTracks reports a write that lost the race with the current version", async (t) => {
+  t.mock.method(Playlist, "findOneAndUpdate", async () => null);
+  t.mock.method(Playlist, "findById", () => ({ select: async () => ({ version: 7 }) }));
+  await assert.rejects(
+    editPlaylistTracks(loadedPlaylist(6), undefined, (current) => current),
+    (err) => err instanceof PlaylistVersionConflictError && err.version === 7
+  );
+});
+
+test("editPlaylistTracks refuses smart playlists and oversized results", async (t) => {
+  const write = t.mock.method(Playlist, "findOneAndUpdate", async () => ({}));
+  await assert.rejects(editPlaylistTracks(loadedPlaylist(1, "smart"), 1, (current) => current), PlaylistEditError);
+  const tooMany = Array.from({ length: MAX_PLAYLIST_TRACKS + 1 }, (_, i) => entry(i));
+  await assert.rejects(editPlaylistTracks(loadedPlaylist(1), 1, () => tooMany), /at most/);
+  assert.equal(write.mock.callCount(), 0);
+});
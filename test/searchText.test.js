@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeText, tokenize, bigrams, buildSearchTokens, editDistance, allowedEdits, MAX_PREFIX } from "../utils/searchText.js";
+
+test("normalizeText lowercases and drops accents and punctuation", () => {
+  assert.equal(normalizeText("Beyoncé – Halo!"), "beyonce halo");
+  assert.equal(normalizeText("  AC/DC  "), "ac dc");
+  assert.equal(normalizeText(), "");
+});
+
+test("tokenize splits normalized words", () => {
+  assert.deepEqual(tokenize("Don't Stop   Me Now"), ["don", "t", "stop", "me", "now"]);
+  assert.deepEqual(tokenize(""), []);
+});
+
+test("bigrams pad the word so its edges count", () => {
+  assert.deepEqual(bigrams("punk"), [" p", "pu", "un", "nk", "k "]);
+  assert.deepEqual(bigrams("a"), [" a", "a "]);
+});
+
+test("buildSearchTokens indexes prefixes and bigrams of every searchable field", () => {
+  const { searchPrefixes, searchGrams } = buildSearchTokens({ title: "Halo", artist: "Beyoncé", genre: "" });
+  assert.deepEqual(searchPrefixes.slice(0, 4), ["h", "ha", "hal", "halo"]);
+  assert.ok(searchPrefixes.includes("beyonce"));
+  assert.ok(searchGrams.includes(" h") && searchGrams.includes("ce"));
+  assert.equal(new Set(searchGrams).size, searchGrams.length);
+});
+
+test("buildSearchTokens caps prefixes at MAX_PREFIX", () => {
+  const long = "x".repeat(MAX_PREFIX + 5);
+  const { searchPrefixes } = buildSearchTokens({ title: long });
+  assert.equal(Math.max(...searchPrefixes.map((p) => p.length)), MAX_PREFIX);
+});
+
+test("editDistance counts a transposition as one edit", () => {
+  assert.equal(editDistance("punk", "punk"), 0);
+  assert.equal(editDistance("pnuk", "punk"), 1);
+  assert.equal(editDistance("kitten", "sitting"), 3);
+  assert.equal(editDistance("", "abc"), 3);
+});
+
+test("editDistance gives up past max", () => {
+  assert.equal(editDistance("kitten", "sitting", 1), 2);
+  assert.equal(editDistance("a", "abcdef", 2), 3);
+});
+
+test("allowedEdits grows with word length", () => {
+  assert.deepEqual([3, 4, 7, 8].map(allowedEdits), [0, 1, 1, 2]);
+});
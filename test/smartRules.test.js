@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSmartRules, InvalidRulesError, SMART_SORTS, MAX_CONDITIONS, MAX_SMART_LIMIT } from "../utils/smartRules.js";
+
+const rules = (conditions, extra = {}) => ({ conditions, ...extra });
+
+test("parseSmartRules fills in defaults", () => {
+  assert.deepEqual(parseSmartRules(rules([{ field: "genre", op: "is", value: " Rock " }])), {
+    match: "all",
+    conditions: [{ field: "genre", op: "is", value: "Rock" }],
+    sort: "popular",
+    limit: 50,
+  });
+});
+
+test("parseSmartRules normalizes condition values per field", () => {
+  const { conditions } = parseSmartRules(
+    rules(
+      [
+        { field: "tag", op: "is", value: "  Road   Trip" },
+        { field: "createdAt", op: "after", value: "2024-01-01" },
+        { field: "createdAt", op: "inLast", value: 30 },
+        { field: "liked", op: "is", value: false },
+        { field: "myPlays", op: "gte", value: 3, days: 7 },
+        { field: "duration", op: "lt", value: 240, days: 7 },
+      ],
+      { match: "any", sort: "title", limit: 10 }
+    )
+  );
+  assert.deepEqual(conditions, [
+    { field: "tag", op: "is", value: "road trip" },
+    { field: "createdAt", op: "after", value: "2024-01-01T00:00:00.000Z" },
+    { field: "createdAt", op: "inLast", value: 30 },
+    { field: "liked", op: "is", value: false },
+    { field: "myPlays", op: "gte", value: 3, days: 7 },
+    { field: "duration", op: "lt", value: 240 }, // days only applies to myPlays
+  ]);
+});
+
+test("parseSmartRules rejects malformed rule sets", () => {
+  const genre = { field: "genre", op: "is", value: "Rock" };
+  const bad = [
+    null,
+    [],
+    "rules",
+    rules([]),
+    rules(genre),
+    rules([genre], { match: "some" }),
+    rules([genre], { sort: "random" }),
+    rules([genre], { limit: 0 }),
+    rules([genre], { limit: MAX_SMART_LIMIT + 1 }),
+    rules([genre], { limit: 2.5 }),
+    rules(Array(MAX_CONDITIONS + 1).fill(genre)),
+  ];
+  for (const raw of bad) assert.throws(() => parseSmartRules(raw), InvalidRulesError, JSON.stringify(raw));
+});
+
+test("parseSmartRules rejects malformed conditions", () => {
+  const bad = [
+    null,
+    { field: "mood", op: "is", value: "x" },
+    { field: "toString", op: "is", value: "x" },
+    { field: "genre", op: "gt", value: "x" },
+    { field: "genre", op: "is", value: "  " },
+    { field: "title", op: "contains", value: "x".repeat(101) },
+    { field: "tag", op: "contains", value: "chill" },
+    { field: "tag", op: "is", value: "#chill" },
+    { field: "plays", op: "gt", value: -1 },
+    { field: "plays", op: "gt", value: "10" },
+    { field: "liked", op: "is", value: "yes" },
+    { field: "createdAt", op: "before", value: "soon" },
+    { field: "createdAt", op: "inLast", value: 0 },
+    { field: "myPlays", op: "gt", value: 1, days: 1.5 },
+  ];
+  for (const condition of bad) {
+    assert.throws(() => parseSmartRules(rules([condition])), InvalidRulesError, JSON.stringify(condition));
+  }
+});
+
+test("smart playlists can't use the random sort", () => {
+  assert.ok(!SMART_SORTS.includes("random"));
+  assert.ok(SMART_SORTS.includes("popular"));
+});
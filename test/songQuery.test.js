@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSongListQuery, parseFacetFilters, parseTagFilter, randomStart, InvalidQueryError } from "../utils/songQuery.js";
+
+// the case-insensitive exact-match regexes a filter field was given
+const patterns = (cond) => cond.$in.map((re) => re.source);
+
+test("genre splits on commas, artist and album are taken whole", () => {
+  const { filter } = parseSongListQuery({ genre: "Rock, Pop", artist: ["Crosby, Stills & Nash", "Queen"], album: "Hello, Goodbye" });
+  assert.deepEqual(patterns(filter.genre), ["^Rock$", "^Pop$"]);
+  assert.equal(filter.artist.$in.length, 2);
+  assert.ok(filter.artist.$in[0].test("crosby, stills & nash"));
+  assert.equal(filter.album.$in.length, 1);
+  assert.ok(filter.album.$in[0].test("Hello, Goodbye"));
+});
+
+test("parseSongListQuery rejects unknown, empty and conflicting params", () => {
+  for (const query of [{ colour: "red" }, { artist: " " }, { sort: "shuffle" }, { seed: "x" }, { minDuration: "-1" }, { minPlays: ["1", "2"] }]) {
+    assert.throws(() => parseSongListQuery(query), InvalidQueryError, JSON.stringify(query));
+  }
+  assert.throws(() => parseSongListQuery({ minDuration: "300", maxDuration: "60" }), /range is empty/);
+});
+
+test("random sort pages by stored key with an optional seed", () => {
+  const { sortName, sort, seed } = parseSongListQuery({ sort: "random", seed: "abc" });
+  assert.equal(sortName, "random");
+  assert.deepEqual(sort, { randomKey: 1, _id: 1 });
+  assert.equal(seed, "abc");
+  assert.throws(() => parseSongListQuery({ sort: "random", seed: "no spaces" }), InvalidQueryError);
+});
+
+test("randomStart is a stable point in [0, 1) per seed", () => {
+  const start = randomStart("abc");
+  assert.ok(start >= 0 && start < 1);
+  assert.equal(randomStart("abc"), start);
+  assert.notEqual(randomStart("abd"), start);
+});
+
+test("parseFacetFilters and parseTagFilter", () => {
+  assert.deepEqual(parseFacetFilters({ artist: ["Earth, Wind & Fire", "Earth, Wind & Fire"], q: "x" }), { artist: ["Earth, Wind & Fire"] });
+  assert.deepEqual(parseTagFilter("Chill, road  trip"), ["chill", "road trip"]);
+  assert.throws(() => parseTagFilter("chill,#bad"), /Invalid tag/);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeTag, tagKind, CURATED_TAGS, MAX_TAG_LENGTH } from "../utils/tags.js";
+
+test("normalizeTag lowercases and collapses whitespace", () => {
+  assert.equal(normalizeTag("  Rainy   Day "), "rainy day");
+  assert.equal(normalizeTag("R&B"), "r&b");
+  assert.equal(normalizeTag("lo-fi"), "lo-fi");
+  assert.equal(normalizeTag("Café"), "café");
+});
+
+test("normalizeTag rejects non-strings, empty, overlong and punctuated tags", () => {
+  for (const value of [undefined, null, 42, ["chill"], "", "   ", "-dash-first", "#chill", "a/b", "x".repeat(MAX_TAG_LENGTH + 1)]) {
+    assert.equal(normalizeTag(value), null, `${JSON.stringify(value)} should be rejected`);
+  }
+  assert.equal(normalizeTag("x".repeat(MAX_TAG_LENGTH)), "x".repeat(MAX_TAG_LENGTH));
+});
+
+test("tagKind tells curated tags from user tags", () => {
+  assert.equal(tagKind("chill"), "mood");
+  assert.equal(tagKind("road trip"), "activity");
+  assert.equal(tagKind("vaporwave"), "user");
+  for (const [kind, tags] of Object.entries(CURATED_TAGS)) {
+    for (const tag of tags) assert.equal(normalizeTag(tag), tag, `curated ${kind} tag ${tag} should be canonical`);
+  }
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import UploadSession from "../models/UploadSession.js";
+import UploadChunk from "../models/UploadChunk.js";
+import { appendChunk, writeSessionFile, UploadOffsetError, MissingChunksError } from "../services/uploadSessions.js";
+
+const session = { _id: "s1", offset: 4, size: 10 };
+const chunk = Buffer.from("abc");
+
+test("appendChunk rejects an offset other than the session's", async (t) => {
+  const claim = t.mock.method(UploadSession, "findOneAndUpdate", async () => null);
+  await assert.rejects(appendChunk(session, 0, chunk), (err) => err instanceof UploadOffsetError && err.offset === 4);
+  assert.equal(claim.mock.callCount(), 0);
+});
+
+test("appendChunk claims the offset, then stores the chunk", async (t) => {
+  const claimed = { ...session, offset: 7 };
+  const claim = t.mock.method(UploadSession, "findOneAndUpdate", async () => claimed);
+  const store = t.mock.method(UploadChunk, "updateOne", async () => ({}));
+
+  assert.equal(await appendChunk(session, 4, chunk), claimed);
+  const [filter, update] = claim.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: "s1", offset: 4, status: "uploading" });
+  assert.equal(update.$set.offset, 7);
+  assert.deepEqual(store.mock.calls[0].arguments.slice(0, 2), [{ sessionId: "s1", offset: 4 }, { $set: { data: chunk } }]);
+});
+
+test("appendChunk loses a race for the same offset with the session's new offset", async (t) => {
+  t.mock.method(UploadSession, "findOneAndUpdate", async () => null);
+  t.mock.method(UploadSession, "findById", () => ({ select: async () => ({ offset: 7 }) }));
+  const store = t.mock.method(UploadChunk, "updateOne", async () => ({}));
+
+  await assert.rejects(appendChunk(session, 4, chunk), (err) => err instanceof UploadOffsetError && err.offset === 7);
+  assert.equal(store.mock.callCount(), 0);
+});
+
+test("appendChunk gives the offset back when the chunk can't be stored", async (t) => {
+  t.mock.method(UploadSession, "findOneAndUpdate", async () => ({ ...session, offset: 7 }));
+  t.mock.method(UploadChunk, "updateOne", async () => {
+    throw new Error("write failed");
+  });
+  const rollback = t.mock.method(UploadSession, "updateOne", async () => ({}));
+
+  await assert.rejects(appendChunk(session, 4, chunk), /write failed/);
+  assert.deepEqual(rollback.mock.calls[0].arguments, [{ _id: "s1", offset: 7 }, { $set: { offset: 4 } }]);
+});
+
+// UploadChunk.find(...).sort(...).cursor() over the given chunks
+const mockChunks = (t, chunks) =>
+  t.mock.method(UploadChunk, "find", () => ({
+    sort: () => ({
+      cursor: async function* () {
+        yield* chunks;
+      },
+    }),
+  }));
+
+test("writeSessionFile writes the chunks in order", async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "upload-test-"));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  mockChunks(t, [
+    { offset: 0, data: Buffer.from("hello ") },
+    { offset: 6, data: Buffer.from("world") },
+  ]);
+
+  const file = path.join(dir, "audio");
+  await writeSessionFile({ _id: "s1", size: 11 }, file);
+  assert.equal(await fs.promises.readFile(file, "utf8"), "hello world");
+});
+
+test("writeSessionFile rejects gaps and short uploads", async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "upload-test-"));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  mockChunks(t, [
+    { offset: 0, data: Buffer.from("hello ") },
+    { offset: 8, data: Buffer.from("rld") },
+  ]);
+  await assert.rejects(writeSessionFile({ _id: "s1", size: 11 }, path.join(dir, "gap")), MissingChunksError);
+
+  mockChunks(t, [{ offset: 0, data: Buffer.from("hello ") }]);
+  await assert.rejects(writeSessionFile({ _id: "s1", size: 11 }, path.join(dir, "short")), MissingChunksError);
+});
@@ -0,0 +1,119 @@
+// utils/audioMetadata.js
+import path from "path";
+import { parseBuffer, parseFile } from "music-metadata";
+
+// Defaults a song ends up with when nothing better is known (see models/Song.js)
+const DEFAULTS = { artist: "Unknown Artist", album: "Singles", genre: "Unknown" };
+
+const AUDIO_MIME_TYPES = {
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".mp4": "audio/mp4",
+  ".aac": "audio/aac",
+  ".ogg": "audio/ogg",
+  ".oga": "audio/ogg",
+  ".opus": "audio/ogg",
+  ".flac": "audio/flac",
+  ".wav": "audio/wav",
+  ".webm": "audio/webm",
+};
+
+// Mime type for an audio filename, or null if the extension isn't a supported audio format
+export function audioMimeType(filename = "") {
+  return AUDIO_MIME_TYPES[path.extname(filename).toLowerCase()] || null;
+}
+
+const clean = (value) => (typeof value === "string" ? value.replace(/\0/g, "").trim() : "");
+
+// scan the whole file so VBR MP3s without a Xing header get an exact length
+const PARSE_OPTIONS = { duration: true };
+
+/**
+ * Read tags (ID3v1/ID3v2, Vorbis comments, MP4 atoms, …) and duration from an audio buffer.
+ * Never throws — unreadable files simply yield an empty result.
+ */
+export async function extractMetadata(buffer, { mimetype, filename, size } = {}) {
+  try {
+    return toMetadata(await parseBuffer(buffer, { mimeType: mimetype, path: filename, size: size ?? buffer.length }, PARSE_OPTIONS));
+  } catch (err) {
+    console.warn("⚠️ Metadata extraction failed:", err.message);
+    return {};
+  }
+}
+
+// Same as extractMetadata for an audio file on disk (read in pieces, never fully loaded); the format
+// is guessed from the file's extension
+export async function extractFileMetadata(filePath) {
+  try {
+    return toMetadata(await parseFile(filePath, PARSE_OPTIONS));
+  } catch (err) {
+    console.warn("⚠️ Metadata extraction failed:", err.message);
+    return {};
+  }
+}
+
+function toMetadata({ common, format }) {
+  return {
+    title: clean(common.title),
+    artist: clean(common.artist || common.albumartist),
+    album: clean(common.album),
+    genre: clean(common.genre?.[0]),
+    trackNumber: common.track?.no || null,
+    year: common.year || null,
+    duration: format.duration ? Math.round(format.duration * 100) / 100 : 0,
+    picture: common.picture?.find((p) => /front/i.test(p.type || "")) || common.picture?.[0] || null,
+  };
+}
+
+/**
+ * Embedded artwork (ID3 APIC, FLAC PICTURE, MP4 covr) as an uploadable image, or null.
+ */
+export function embeddedCover(meta = {}) {
+  const picture = meta.picture;
+  if (!picture?.data?.length) return null;
+
+  let contentType = (picture.format || "image/jpeg").toLowerCase();
+  if (!contentType.includes("/")) contentType = `image/${contentType === "jpg" ? "jpeg" : contentType}`;
+  if (!contentType.startsWith("image/")) return null;
+
+  return { buffer: Buffer.from(picture.data), contentType };
+}
+
+/**
+ * Song fields for a new upload: explicit form values win, then parsed tags, then defaults.
+ */
+export function resolveSongFields(body = {}, meta = {}, originalname = "") {
+  return {
+    title: clean(body.title) || meta.title || path.basename(originalname, path.extname(originalname)) || originalname,
+    artist: clean(body.artist) || meta.artist || DEFAULTS.artist,
+    album: clean(body.album) || meta.album || DEFAULTS.album,
+    genre: clean(body.genre) || meta.genre || DEFAULTS.genre,
+    trackNumber: parseInt(body.trackNumber, 10) || meta.trackNumber || null,
+    year: parseInt(body.year, 10) || meta.year || null,
+    duration: meta.duration || 0,
+  };
+}
+
+/**
+ * Backfill an existing song in place, only touching fields that are still empty/default
+ * (a title that is just the uploaded filename counts as empty). Returns the changed field names.
+ */
+export function applyMissingMetadata(song, meta = {}) {
+  const changed = [];
+  const set = (field, value) => {
+    if (value && song[field] !== value) {
+      song[field] = value;
+      changed.push(field);
+    }
+  };
+
+  if (meta.title && (!song.title || audioMimeType(song.title))) set("title", meta.title);
+  if (!song.artist || song.artist === DEFAULTS.artist) set("artist", meta.artist);
+  if (!song.album || song.album === DEFAULTS.album) set("album", meta.album);
+  if (!song.genre || song.genre === DEFAULTS.genre) set("genre", meta.genre);
+  if (!song.trackNumber) set("trackNumber", meta.trackNumber);
+  if (!song.year) set("year", meta.year);
+  if (meta.duration && Math.abs((song.duration || 0) - meta.duration) >= 0.5) set("duration", meta.duration);
+
+  return changed;
+}
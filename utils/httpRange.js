@@ -0,0 +1,30 @@
+// utils/httpRange.js
+
+/**
+ * Parse a single-range `Range` header against a resource of `size` bytes.
+ * Returns null when the whole resource should be sent (no header, malformed or
+ * multi-range requests are ignored per RFC 9110), `{ unsatisfiable: true }`
+ * when the range lies outside the resource, or `{ start, end }` (inclusive).
+ */
+export function parseRange(header, size) {
+  if (!header || typeof header !== "string") return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // suffix range: last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
@@ -0,0 +1,52 @@
+// utils/lrc.js
+
+// [mm:ss], [mm:ss.xx], [mm:ss.xxx] or [mm:ss:xx]
+const TIME_TAG = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+// [ar:Artist], [ti:Title], [offset:+250], …
+const ID_TAG = /^\[([a-z#]+):(.*)\]$/i;
+// enhanced LRC word timings <mm:ss.xx>
+const WORD_TAG = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+const toMs = (min, sec, frac = "") => {
+  const fraction = frac ? parseInt(frac.padEnd(3, "0"), 10) : 0;
+  return parseInt(min, 10) * 60000 + parseInt(sec, 10) * 1000 + fraction;
+};
+
+/**
+ * Parse LRC text into `{ tags, lines }` where lines are `{ timeMs, line }` sorted by time.
+ * Lines with several timestamps are repeated at each one; the `[offset:]` tag is applied.
+ */
+export function parseLrc(lrc = "") {
+  const tags = {};
+  const lines = [];
+
+  for (const raw of String(lrc).split(/\r?\n/)) {
+    const text = raw.trim();
+    if (!text) continue;
+
+    const times = [...text.matchAll(TIME_TAG)];
+    if (!times.length) {
+      const tag = ID_TAG.exec(text);
+      if (tag) tags[tag[1].toLowerCase()] = tag[2].trim();
+      continue;
+    }
+
+    const line = text.replace(TIME_TAG, "").replace(WORD_TAG, "").trim();
+    for (const [, min, sec, frac] of times) lines.push({ timeMs: toMs(min, sec, frac), line });
+  }
+
+  // positive offset = lyrics shown earlier
+  const offset = parseInt(tags.offset, 10) || 0;
+  return {
+    tags,
+    lines: lines.map((l) => ({ ...l, timeMs: Math.max(0, l.timeMs - offset) })).sort((a, b) => a.timeMs - b.timeMs),
+  };
+}
+
+// Plain lyrics from LRC (used for search when no separate text was given)
+export function lrcToText(lrc) {
+  return parseLrc(lrc)
+    .lines.map((l) => l.line)
+    .filter(Boolean)
+    .join("\n");
+}
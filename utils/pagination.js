@@ -0,0 +1,123 @@
+// utils/pagination.js
+import mongoose from "mongoose";
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Bad `limit` / `cursor` query params (routes answer 400)
+export class PaginationError extends Error {
+  constructor(message = "Invalid cursor") {
+    super(message);
+    this.name = "PaginationError";
+    this.status = 400;
+  }
+}
+
+// Dates and ObjectIds don't survive JSON, so they're tagged in the cursor
+const pack = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value;
+};
+
+const unpack = (value) => {
+  if (value === null || ["string", "number", "boolean"].includes(typeof value)) return value;
+  if (typeof value === "object" && typeof value.d === "string" && !Number.isNaN(Date.parse(value.d))) return new Date(value.d);
+  if (typeof value === "object" && mongoose.isValidObjectId(value.o)) return new mongoose.Types.ObjectId(value.o);
+  throw new PaginationError();
+};
+
+// A cursor remembers which ordering it belongs to, so it can't be replayed against another one
+const sortSignature = (sort) =>
+  Object.entries(sort)
+    .map(([key, dir]) => `${key}:${dir}`)
+    .join(",");
+
+/**
+ * Opaque cursor: base64url JSON of the last item's sort-key values plus the sort it was made for.
+ */
+export function encodeCursor(signature, values) {
+  return Buffer.from(JSON.stringify({ s: signature, v: values.map(pack) })).toString("base64url");
+}
+
+export function decodeCursor(cursor, signature) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw new PaginationError();
+  }
+  if (!payload || payload.s !== signature || !Array.isArray(payload.v)) throw new PaginationError();
+  return payload.v.map(unpack);
+}
+
+/**
+ * Read `?limit=&cursor=` from a query string. The limit is capped at `maxLimit`.
+ */
+export function pageParams(query = {}, { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) {
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== "") {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new PaginationError("limit must be a positive integer");
+  }
+
+  const cursor = query.cursor || null;
+  if (cursor !== null && typeof cursor !== "string") throw new PaginationError();
+  return { limit: Math.min(limit, maxLimit), cursor };
+}
+
+// Filter for "strictly after `values`" in `sort` order (ties broken by the later keys)
+function keysetFilter(sort, values) {
+  const keys = Object.keys(sort);
+  if (values.length !== keys.length) throw new PaginationError();
+
+  return {
+    $or: keys.map((key, i) => {
+      const clause = {};
+      keys.slice(0, i).forEach((prev, j) => (clause[prev] = values[j]));
+      clause[key] = { [sort[key] === 1 ? "$gt" : "$lt"]: values[i] };
+      return clause;
+    }),
+  };
+}
+
+const sortValue = (doc, key) => (typeof doc.get === "function" ? doc.get(key) : key.split(".").reduce((v, k) => v?.[k], doc));
+
+/**
+ * Keyset-paginate a Mongoose find query. `sort` must end in `_id` so the order is total, and
+ * its fields must be selected and always set (missing values never compare as "after").
+ * Resolves to `{ items, pageInfo: { next, hasMore, limit } }`.
+ */
+export async function paginate(query, { sort, limit, cursor }) {
+  const signature = sortSignature(sort);
+  if (cursor) query.and([keysetFilter(sort, decodeCursor(cursor, signature))]);
+
+  const docs = await query.sort(sort).limit(limit + 1);
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pageInfo: {
+      next: hasMore ? encodeCursor(signature, Object.keys(sort).map((key) => sortValue(last, key))) : null,
+      hasMore,
+      limit,
+    },
+  };
+}
+
+/**
+ * For lists ranked in memory (search, aggregations): the cursor is just an offset.
+ */
+export function offsetFromCursor(cursor) {
+  if (!cursor) return 0;
+  const [offset] = decodeCursor(cursor, "offset");
+  if (!Number.isInteger(offset) || offset < 0) throw new PaginationError();
+  return offset;
+}
+
+export function offsetPageInfo(offset, limit, total) {
+  const hasMore = offset + limit < total;
+  return { next: hasMore ? encodeCursor("offset", [offset + limit]) : null, hasMore, limit };
+}
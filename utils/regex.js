@@ -0,0 +1,4 @@
+// utils/regex.js
+
+// Escape user input for use inside a RegExp / MongoDB $regex
+export const escapeRegex = (value = "") => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
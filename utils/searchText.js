@@ -0,0 +1,70 @@
+// utils/searchText.js
+
+export const MAX_PREFIX = 20; // longest word prefix indexed
+
+// Lowercase, strip accents and punctuation, collapse whitespace ("Beyoncé – Halo!" → "beyonce halo")
+export function normalizeText(value = "") {
+  return String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+export const tokenize = (value) => normalizeText(value).split(" ").filter(Boolean);
+
+// Character bigrams of a word, padded so its first and last letters count too.
+// Bigrams (not trigrams) so a swapped pair like "pnuk"/"punk" still shares grams.
+export function bigrams(word) {
+  const padded = ` ${word} `;
+  const grams = [];
+  for (let i = 0; i + 2 <= padded.length; i++) grams.push(padded.slice(i, i + 2));
+  return grams;
+}
+
+/**
+ * Index tokens for a song: word prefixes (search-as-you-type) and bigrams (typo tolerance).
+ */
+export function buildSearchTokens(fields = {}) {
+  const prefixes = new Set();
+  const grams = new Set();
+
+  for (const value of [fields.title, fields.artist, fields.album, fields.genre, fields.uploaderName]) {
+    for (const word of tokenize(value)) {
+      for (let i = 1; i <= Math.min(word.length, MAX_PREFIX); i++) prefixes.add(word.slice(0, i));
+      for (const g of bigrams(word)) grams.add(g);
+    }
+  }
+
+  return { searchPrefixes: [...prefixes], searchGrams: [...grams] };
+}
+
+/**
+ * Optimal-string-alignment edit distance (a transposition counts as one edit).
+ * Gives up early and returns max + 1 once the distance is known to exceed `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prevPrev[j - 2] + 1);
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos tolerated for a query word of this length
+export const allowedEdits = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
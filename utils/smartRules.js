@@ -0,0 +1,125 @@
+// utils/smartRules.js
+//
+// Rule definitions for smart playlists:
+//
+//   {
+//     match: "all" | "any",                 // AND / OR between conditions (default "all")
+//     conditions: [{ field, op, value, days? }],
+//     sort: "recent" | "popular" | "title" | "liked" | "longest",   // default "popular"
+//     limit: 1-500,                          // default 50
+//   }
+//
+// Fields and their ops:
+// - genre, artist, album, title: is | isNot | contains (text, case-insensitive)
+// - tag: is | isNot (song has / lacks the tag)
+// - duration (seconds), plays, likesCount, year: eq | gt | gte | lt | lte (number)
+// - createdAt (added to the catalog): inLast (days) | after | before (ISO date)
+// - liked: is (true/false) — liked by the playlist owner
+// - myPlays: eq | gt | gte | lt | lte (count) — the owner's listens, over the last `days` if given
+import { normalizeTag } from "./tags.js";
+import { SONG_SORTS } from "./songQuery.js";
+
+// Malformed smart playlist rules (routes answer 400)
+export class InvalidRulesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidRulesError";
+    this.status = 400;
+  }
+}
+
+const TEXT_FIELDS = ["genre", "artist", "album", "title"];
+const TEXT_OPS = ["is", "isNot", "contains"];
+const NUMBER_OPS = ["eq", "gt", "gte", "lt", "lte"];
+
+export const RULE_FIELDS = {
+  ...Object.fromEntries(TEXT_FIELDS.map((field) => [field, TEXT_OPS])),
+  tag: ["is", "isNot"],
+  duration: NUMBER_OPS,
+  plays: NUMBER_OPS,
+  likesCount: NUMBER_OPS,
+  year: NUMBER_OPS,
+  createdAt: ["inLast", "after", "before"],
+  liked: ["is"],
+  myPlays: NUMBER_OPS,
+};
+
+export const SMART_SORTS = Object.keys(SONG_SORTS).filter((name) => name !== "random");
+export const MAX_CONDITIONS = 20;
+export const MAX_SMART_LIMIT = 500;
+const DEFAULT_SMART_LIMIT = 50;
+const MAX_TEXT_LENGTH = 100;
+const MAX_DAYS = 3650;
+
+function positiveDays(value, name) {
+  if (!Number.isInteger(value) || value < 1 || value > MAX_DAYS) {
+    throw new InvalidRulesError(`${name} must be a whole number of days between 1 and ${MAX_DAYS}`);
+  }
+  return value;
+}
+
+function parseCondition(raw, i) {
+  const where = `conditions[${i}]`;
+  if (!raw || typeof raw !== "object") throw new InvalidRulesError(`${where} must be an object`);
+  const { field, op, value } = raw;
+
+  const ops = Object.hasOwn(RULE_FIELDS, field) ? RULE_FIELDS[field] : null;
+  if (!ops) throw new InvalidRulesError(`${where}.field must be one of: ${Object.keys(RULE_FIELDS).join(", ")}`);
+  if (!ops.includes(op)) throw new InvalidRulesError(`${where}.op for ${field} must be one of: ${ops.join(", ")}`);
+
+  if (field === "tag") {
+    const tag = normalizeTag(value);
+    if (!tag) throw new InvalidRulesError(`${where}.value must be a valid tag`);
+    return { field, op, value: tag };
+  }
+  if (TEXT_FIELDS.includes(field)) {
+    if (typeof value !== "string" || !value.trim() || value.length > MAX_TEXT_LENGTH) {
+      throw new InvalidRulesError(`${where}.value must be 1-${MAX_TEXT_LENGTH} characters of text`);
+    }
+    return { field, op, value: value.trim() };
+  }
+  if (field === "liked") {
+    if (typeof value !== "boolean") throw new InvalidRulesError(`${where}.value must be true or false`);
+    return { field, op, value };
+  }
+  if (field === "createdAt") {
+    if (op === "inLast") return { field, op, value: positiveDays(value, `${where}.value`) };
+    const date = new Date(value);
+    if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+      throw new InvalidRulesError(`${where}.value must be an ISO date`);
+    }
+    return { field, op, value: date.toISOString() };
+  }
+
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+    throw new InvalidRulesError(`${where}.value must be a non-negative number`);
+  }
+  const condition = { field, op, value };
+  if (field === "myPlays" && raw.days !== undefined) condition.days = positiveDays(raw.days, `${where}.days`);
+  return condition;
+}
+
+/**
+ * Validate smart playlist rules (shape above) and return them normalized, defaults filled in.
+ * Throws InvalidRulesError.
+ */
+export function parseSmartRules(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new InvalidRulesError("rules must be an object");
+
+  const match = raw.match ?? "all";
+  if (match !== "all" && match !== "any") throw new InvalidRulesError("match must be all or any");
+
+  const { conditions } = raw;
+  if (!Array.isArray(conditions) || !conditions.length) throw new InvalidRulesError("conditions must be a non-empty array");
+  if (conditions.length > MAX_CONDITIONS) throw new InvalidRulesError(`At most ${MAX_CONDITIONS} conditions`);
+
+  const sort = raw.sort ?? "popular";
+  if (!SMART_SORTS.includes(sort)) throw new InvalidRulesError(`sort must be one of: ${SMART_SORTS.join(", ")}`);
+
+  const limit = raw.limit ?? DEFAULT_SMART_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SMART_LIMIT) {
+    throw new InvalidRulesError(`limit must be an integer between 1 and ${MAX_SMART_LIMIT}`);
+  }
+
+  return { match, conditions: conditions.map(parseCondition), sort, limit };
+}
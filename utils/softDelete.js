@@ -0,0 +1,51 @@
+// utils/softDelete.js
+import mongoose from "mongoose";
+
+const READ_HOOKS = ["find", "findOne", "findOneAndUpdate", "countDocuments", "distinct"];
+
+// Days a trashed item is kept before the purge job removes it for good (TRASH_RETENTION_DAYS)
+export function trashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : 30;
+}
+
+// When a trashed item will be purged
+export const purgeAt = (deletedAt) => new Date(deletedAt.getTime() + trashRetentionDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Mongoose plugin for trash support: `deletedAt`/`deletedBy` fields plus query hooks that hide
+ * trashed documents from every read. Trashed documents are only visible to queries that filter
+ * on `deletedAt` themselves (trash views, the purge job) or set the `withDeleted` option
+ * (aggregations: start with a `$match` on `deletedAt`, or `.option({ withDeleted: true })`).
+ */
+export function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(READ_HOOKS, function () {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+    const first = this.pipeline()[0];
+    if (first?.$match && "deletedAt" in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.moveToTrash = function (userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  schema.methods.restoreFromTrash = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+}
@@ -0,0 +1,45 @@
+// utils/songAccess.js
+//
+// Who gets to see a song:
+// - listed (catalog listings, search, genres/tags, album & artist pages, charts): public songs only
+// - by id (stream, lyrics, waveform, likes, playlists): public + unlisted, plus private songs
+//   for their uploader and admins
+// A song scheduled for later (`releaseAt` in the future) counts as private until then; nothing
+// flips a flag at release time, every check compares against the current time.
+import mongoose from "mongoose";
+
+export const VISIBILITIES = ["public", "unlisted", "private"];
+
+export const isValidVisibility = (value) => VISIBILITIES.includes(value);
+
+// Empty/null clears a schedule; anything else must be a date string
+export const isValidReleaseAt = (value) =>
+  value === null || value === "" || (typeof value === "string" && !Number.isNaN(new Date(value).getTime()));
+
+const isAdmin = (user) => Boolean(user?.roles?.includes("admin"));
+
+// Matches songs without a schedule or whose release time has passed
+const released = () => ({ $not: { $gt: new Date() } });
+
+export const isReleased = (song) => !song.releaseAt || song.releaseAt <= new Date();
+
+// Filter for songs that show up in catalog listings (songs saved before visibility existed count as public)
+export const listedFilter = () => ({ visibility: { $nin: ["unlisted", "private"] }, releaseAt: released() });
+
+/**
+ * Filter for songs `user` (req.user, or null when anonymous) can open by id. `path` targets a
+ * song embedded in another document (e.g. "song" after a $lookup). Contains an `$or`, so combine
+ * it with other filters through `$and`.
+ */
+export function viewableFilter(user, path = "") {
+  const field = (name) => (path ? `${path}.${name}` : name);
+  if (isAdmin(user)) return {};
+  const open = { [field("visibility")]: { $ne: "private" }, [field("releaseAt")]: released() };
+  return user ? { $or: [open, { [field("uploadedBy")]: new mongoose.Types.ObjectId(user.id) }] } : open;
+}
+
+export function canView(song, user) {
+  if ((song.visibility !== "private" && isReleased(song)) || isAdmin(user)) return true;
+  const uploader = song.uploadedBy?._id || song.uploadedBy;
+  return Boolean(user) && String(uploader) === String(user.id);
+}
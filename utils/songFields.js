@@ -0,0 +1,6 @@
+// utils/songFields.js
+
+// Fields never sent in song listings — audio is only reachable via /api/music/:id/stream,
+// lyrics via /api/music/:id/lyrics, old audio versions via /api/music/:id/audio/versions;
+// search tokens are internal
+export const HIDDEN_SONG_FIELDS = "-url -publicId -lyrics -syncedLyrics -searchPrefixes -searchGrams -audioVersions -duplicateHash";
@@ -0,0 +1,180 @@
+// utils/songQuery.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { escapeRegex } from "./regex.js";
+import { normalizeTag } from "./tags.js";
+
+// Malformed catalog listing params (routes answer 400)
+export class InvalidQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidQueryError";
+    this.status = 400;
+  }
+}
+
+// Title order ignores case ("apple" next to "Apple", before "Zebra"); the title index uses the same collation
+export const TITLE_COLLATION = { locale: "en", strength: 2 };
+
+export const SONG_SORTS = {
+  recent: { createdAt: -1, _id: -1 },
+  popular: { plays: -1, likesCount: -1, _id: -1 },
+  title: { title: 1, _id: 1 },
+  liked: { likesCount: -1, plays: -1, _id: -1 },
+  longest: { duration: -1, _id: -1 },
+  random: { randomKey: 1, _id: 1 }, // from the seed's start point, see randomStart
+};
+
+const PARAMS = new Set([
+  "genre",
+  "artist",
+  "album",
+  "tag",
+  "uploader",
+  "minDuration",
+  "maxDuration",
+  "uploadedAfter",
+  "uploadedBefore",
+  "minPlays",
+  "hasCover",
+  "sort",
+  "seed",
+  "limit",
+  "cursor",
+]);
+const MAX_VALUES = 20; // per multi-value filter
+
+// ?genre=Rock&genre=Pop and ?genre=Rock,Pop both give ["Rock", "Pop"]. With `split: false` only
+// repeated params give several values (for names, which can contain commas).
+function listParam(query, name, { split = true } = {}) {
+  const raw = query[name];
+  if (raw === undefined) return null;
+  const values = [raw]
+    .flat()
+    .flatMap((v) => (split ? String(v).split(",") : [String(v)]))
+    .map((v) => v.trim())
+    .filter(Boolean);
+  if (!values.length) throw new InvalidQueryError(`${name} must not be empty`);
+  if (values.length > MAX_VALUES) throw new InvalidQueryError(`${name} accepts at most ${MAX_VALUES} values`);
+  return [...new Set(values)];
+}
+
+function singleParam(query, name) {
+  const raw = query[name];
+  if (raw === undefined) return undefined;
+  if (typeof raw !== "string") throw new InvalidQueryError(`${name} must be given once`);
+  return raw.trim();
+}
+
+function numberParam(query, name) {
+  const raw = singleParam(query, name);
+  if (raw === undefined) return undefined;
+  const value = Number(raw);
+  if (raw === "" || !Number.isFinite(value) || value < 0) throw new InvalidQueryError(`${name} must be a non-negative number`);
+  return value;
+}
+
+function dateParam(query, name) {
+  const raw = singleParam(query, name);
+  if (raw === undefined) return undefined;
+  const value = new Date(raw);
+  if (!raw || Number.isNaN(value.getTime())) throw new InvalidQueryError(`${name} must be an ISO date`);
+  return value;
+}
+
+// /search facet filters (?artist=A&artist=B matches either). Values are taken whole, not split on
+// commas, since they come from facets and names can contain commas.
+export function parseFacetFilters(query = {}) {
+  const filters = {};
+  for (const name of ["genre", "artist", "album"]) {
+    if (query[name] === undefined) continue;
+    const values = [query[name]]
+      .flat()
+      .map((v) => String(v).trim())
+      .filter(Boolean);
+    if (values.length > MAX_VALUES) throw new InvalidQueryError(`${name} accepts at most ${MAX_VALUES} values`);
+    if (values.length) filters[name] = [...new Set(values)];
+  }
+  return filters;
+}
+
+// Tag filter (?tag=chill,focus or repeated) → normalized tags; used by listing and search
+export function parseTagFilter(raw) {
+  const values = listParam({ tag: raw }, "tag");
+  const tags = values.map(normalizeTag);
+  const bad = values.find((_, i) => !tags[i]);
+  if (bad !== undefined) throw new InvalidQueryError(`Invalid tag: ${bad}`);
+  return [...new Set(tags)];
+}
+
+// Case-insensitive exact match on any of the values
+const anyOf = (values) => ({ $in: values.map((v) => new RegExp(`^${escapeRegex(v)}$`, "i")) });
+
+function range(min, max, name) {
+  if (min === undefined && max === undefined) return null;
+  if (min !== undefined && max !== undefined && min > max) throw new InvalidQueryError(`${name} range is empty (min > max)`);
+  const cond = {};
+  if (min !== undefined) cond.$gte = min;
+  if (max !== undefined) cond.$lte = max;
+  return cond;
+}
+
+/**
+ * Validate the catalog listing query (`GET /api/music`) and turn it into a Mongo filter + sort.
+ * Throws InvalidQueryError on unknown or malformed params. `uploader` may be a user id or a
+ * username; usernames come back as `uploaderUsername` for the caller to resolve.
+ */
+export function parseSongListQuery(query = {}) {
+  const unknown = Object.keys(query).filter((key) => !PARAMS.has(key));
+  if (unknown.length) throw new InvalidQueryError(`Unknown parameter${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}`);
+
+  const filter = {};
+  const genres = listParam(query, "genre");
+  const artists = listParam(query, "artist", { split: false });
+  const albums = listParam(query, "album", { split: false });
+  if (genres) filter.genre = anyOf(genres);
+  if (artists) filter.artist = anyOf(artists);
+  if (albums) filter.album = anyOf(albums);
+
+  // tags narrow (song must have every tag), unlike the any-of filters above
+  if (query.tag !== undefined) filter.tags = { $all: parseTagFilter(query.tag) };
+
+  let uploaderUsername = null;
+  const uploader = singleParam(query, "uploader");
+  if (uploader !== undefined) {
+    if (!uploader) throw new InvalidQueryError("uploader must not be empty");
+    if (/^[a-f\d]{24}$/i.test(uploader)) filter.uploadedBy = new mongoose.Types.ObjectId(uploader);
+    else uploaderUsername = uploader.toLowerCase();
+  }
+
+  const duration = range(numberParam(query, "minDuration"), numberParam(query, "maxDuration"), "duration");
+  if (duration) filter.duration = duration;
+  const uploaded = range(dateParam(query, "uploadedAfter"), dateParam(query, "uploadedBefore"), "upload date");
+  if (uploaded) filter.createdAt = uploaded;
+
+  const minPlays = numberParam(query, "minPlays");
+  if (minPlays !== undefined) filter.plays = { $gte: minPlays };
+
+  const hasCover = singleParam(query, "hasCover");
+  if (hasCover !== undefined) {
+    if (hasCover !== "true" && hasCover !== "false") throw new InvalidQueryError("hasCover must be true or false");
+    filter.cover = hasCover === "true" ? { $nin: ["", null] } : { $in: ["", null] };
+  }
+
+  const sortName = singleParam(query, "sort") ?? "recent";
+  if (!Object.hasOwn(SONG_SORTS, sortName)) {
+    throw new InvalidQueryError(`sort must be one of: ${Object.keys(SONG_SORTS).join(", ")}`);
+  }
+
+  const seed = singleParam(query, "seed");
+  if (seed !== undefined && sortName !== "random") throw new InvalidQueryError("seed only applies to sort=random");
+  if (seed !== undefined && !/^[\w-]{1,64}$/.test(seed)) throw new InvalidQueryError("seed must be 1-64 letters, digits, - or _");
+
+  return { filter, sortName, sort: SONG_SORTS[sortName], seed, uploaderUsername };
+}
+
+/**
+ * Where the seed's walk through the stored random keys starts, in [0, 1). The order wraps round
+ * to 0 after the highest key, so every seed visits every song once.
+ */
+export const randomStart = (seed) => crypto.createHash("md5").update(seed).digest().readUInt32BE(0) / 2 ** 32;
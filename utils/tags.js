@@ -0,0 +1,27 @@
+// utils/tags.js
+
+// Curated vocabulary shown in the tag picker; anything else is a free-form user tag
+export const CURATED_TAGS = {
+  mood: ["chill", "happy", "sad", "energetic", "romantic", "dark", "dreamy", "angry", "uplifting", "melancholic", "calm", "epic"],
+  activity: ["workout", "focus", "study", "party", "sleep", "driving", "running", "cooking", "gaming", "meditation", "rainy day", "road trip"],
+};
+
+const KIND_BY_TAG = new Map(Object.entries(CURATED_TAGS).flatMap(([kind, tags]) => tags.map((t) => [t, kind])));
+
+export const TAG_KINDS = [...Object.keys(CURATED_TAGS), "user"];
+export const MAX_TAG_LENGTH = 32;
+export const MAX_TAGS_PER_SONG = 20;
+
+// "mood", "activity" or "user"
+export const tagKind = (tag) => KIND_BY_TAG.get(tag) || "user";
+
+/**
+ * Canonical form of a tag ("  Rainy   Day " → "rainy day"), or null if it isn't a valid tag:
+ * letters, digits, spaces, "-" and "&", up to MAX_TAG_LENGTH characters.
+ */
+export function normalizeTag(value) {
+  if (typeof value !== "string") return null;
+  const tag = value.replace(/\s+/g, " ").trim().toLowerCase();
+  if (!tag || tag.length > MAX_TAG_LENGTH || !/^[\p{L}\p{N}][\p{L}\p{N} &-]*$/u.test(tag)) return null;
+  return tag;
+}
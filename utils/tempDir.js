@@ -0,0 +1,13 @@
+// utils/tempDir.js
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Scratch directory for uploads too big to keep in memory; pair every call with removeTempDir
+export const makeTempDir = (prefix) => fs.promises.mkdtemp(path.join(os.tmpdir(), `${prefix}-`));
+
+// Never throws: a leftover scratch directory isn't worth failing a request over
+export async function removeTempDir(dir) {
+  if (!dir) return;
+  await fs.promises.rm(dir, { recursive: true, force: true }).catch((err) => console.warn("⚠️ Temp cleanup failed:", err.message));
+}
@@ -0,0 +1,109 @@
+// utils/waveform.js
+
+export const WAVEFORM_BUCKETS = 2048; // resolution stored per song; served downsampled
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+// Locate the fmt/data chunks of a RIFF/WAVE buffer, or null if it isn't one we can decode
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+    return null;
+  }
+
+  let fmt = null;
+  let data = null;
+  let pos = 12;
+  while (pos + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", pos, pos + 4);
+    const size = buffer.readUInt32LE(pos + 4);
+    const body = pos + 8;
+
+    if (id === "fmt " && size >= 16) {
+      let format = buffer.readUInt16LE(body);
+      if (format === FORMAT_EXTENSIBLE && size >= 26) format = buffer.readUInt16LE(body + 24); // sub-format GUID
+      fmt = {
+        format,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === "data") {
+      data = { start: body, end: Math.min(body + size, buffer.length) };
+    }
+    if (fmt && data) break;
+    pos = body + size + (size % 2); // chunks are word-aligned
+  }
+
+  if (!fmt || !data || !fmt.channels) return null;
+  const { format, bitsPerSample } = fmt;
+  const supported =
+    (format === FORMAT_PCM && [8, 16, 24, 32].includes(bitsPerSample)) || (format === FORMAT_FLOAT && [32, 64].includes(bitsPerSample));
+  return supported ? { ...fmt, ...data } : null;
+}
+
+// Sample reader returning an amplitude in [-1, 1]
+function sampleReader(buffer, { format, bitsPerSample }) {
+  if (format === FORMAT_FLOAT) {
+    return bitsPerSample === 32 ? (o) => buffer.readFloatLE(o) : (o) => buffer.readDoubleLE(o);
+  }
+  switch (bitsPerSample) {
+    case 8:
+      return (o) => (buffer[o] - 128) / 128; // 8-bit WAV is unsigned
+    case 16:
+      return (o) => buffer.readInt16LE(o) / 32768;
+    case 24:
+      return (o) => buffer.readIntLE(o, 3) / 8388608;
+    default:
+      return (o) => buffer.readInt32LE(o) / 2147483648;
+  }
+}
+
+/**
+ * Peak amplitudes (0–1, max across channels) of a WAV buffer in `buckets` equal slices.
+ * Returns null for anything that isn't uncompressed PCM/float WAV.
+ */
+export function computePeaks(buffer, buckets = WAVEFORM_BUCKETS) {
+  const wav = parseWav(buffer);
+  if (!wav) return null;
+
+  const frameSize = (wav.bitsPerSample / 8) * wav.channels;
+  const frames = Math.floor((wav.end - wav.start) / frameSize);
+  if (!frames) return null;
+
+  const read = sampleReader(buffer, wav);
+  const sampleSize = wav.bitsPerSample / 8;
+  const count = Math.min(buckets, frames);
+  const peaks = new Array(count).fill(0);
+
+  for (let frame = 0; frame < frames; frame++) {
+    const bucket = Math.floor((frame * count) / frames);
+    const offset = wav.start + frame * frameSize;
+    for (let ch = 0; ch < wav.channels; ch++) {
+      const value = Math.abs(read(offset + ch * sampleSize));
+      if (value > peaks[bucket]) peaks[bucket] = value;
+    }
+  }
+
+  return {
+    peaks: peaks.map((p) => Math.round(Math.min(p, 1) * 1000) / 1000),
+    sampleRate: wav.sampleRate,
+    duration: frames / wav.sampleRate,
+  };
+}
+
+/**
+ * Downsample stored peaks to `resolution` buckets (max of each group) and scale so the loudest is 1.
+ */
+export function resamplePeaks(peaks, resolution) {
+  const count = Math.max(1, Math.min(resolution, peaks.length));
+  const out = new Array(count).fill(0);
+  for (let i = 0; i < peaks.length; i++) {
+    const bucket = Math.floor((i * count) / peaks.length);
+    if (peaks[i] > out[bucket]) out[bucket] = peaks[i];
+  }
+
+  const max = Math.max(...out);
+  return max > 0 ? out.map((p) => Math.round((p / max) * 1000) / 1000) : out;
+}
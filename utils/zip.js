@@ -0,0 +1,60 @@
+// utils/zip.js
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import yauzl from "yauzl";
+
+// The archive unpacks to more than allowed (routes answer 413)
+export class ZipTooLargeError extends Error {
+  constructor(maxTotalBytes) {
+    super(`ZIP contents are too large. Max is ${Math.round(maxTotalBytes / 1024 / 1024)}MB unpacked`);
+    this.name = "ZipTooLargeError";
+    this.status = 413;
+  }
+}
+
+/**
+ * Unpack the files of the ZIP at `zipPath` that pass `filter(name)` into `destDir`, streaming each
+ * entry to disk. Entry count and total uncompressed size are capped so a zip bomb can't fill the
+ * disk (yauzl also checks every entry's real size against its header).
+ * Resolves to [{ name, path, size }] in archive order; files are named by position and keep their extension.
+ */
+export function extractZipEntries(zipPath, destDir, { filter = () => true, maxEntries = 100, maxTotalBytes = 500 * 1024 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (err, zip) => {
+      if (err) return reject(new Error("Invalid ZIP archive"));
+
+      const files = [];
+      let totalBytes = 0;
+      const fail = (error) => {
+        zip.close();
+        reject(error);
+      };
+
+      zip.on("error", () => fail(new Error("Invalid ZIP archive")));
+      zip.on("end", () => resolve(files));
+      zip.on("entry", (entry) => {
+        // directories and entries the caller doesn't want
+        if (entry.fileName.endsWith("/") || !filter(entry.fileName)) return zip.readEntry();
+
+        if (files.length >= maxEntries) return fail(new Error(`ZIP contains more than ${maxEntries} files`));
+        totalBytes += entry.uncompressedSize;
+        if (totalBytes > maxTotalBytes) return fail(new ZipTooLargeError(maxTotalBytes));
+
+        zip.openReadStream(entry, (streamErr, stream) => {
+          if (streamErr) return fail(new Error(`Could not read ${entry.fileName}`));
+          const file = path.join(destDir, `entry-${files.length}${path.extname(entry.fileName).toLowerCase()}`);
+          pipeline(stream, fs.createWriteStream(file)).then(
+            () => {
+              files.push({ name: entry.fileName, path: file, size: entry.uncompressedSize });
+              zip.readEntry();
+            },
+            () => fail(new Error(`Could not read ${entry.fileName}`))
+          );
+        });
+      });
+
+      zip.readEntry();
+    });
+  });
+}